@@ -3,144 +3,211 @@
  * Sends extracted data to background script for processing
  */
 
-// Import utilities (injected via manifest or loaded separately)
-// Note: In Chrome extensions, we need to inject these scripts or use importScripts
-// For now, we'll include the functions directly or load them dynamically
+// Article extraction (findArticleElement, extractArticleText, extractArticleLinks) comes from utils/extractText.js,
+// extractArticleMetadata from utils/articleMetadata.js, the page classifier and site rules
+// from utils/pageClassifier.js and detectAccountContext from utils/privacyFilter.js;
+// the manifest loads them before this script
 
 let isProcessing = false;
 
 /**
- * Extracts article text from the page
+ * In-page highlights
+ * The sidebar sends the sentences that drove the emotional and loaded-language scores,
+ * the sentences with one fact/opinion label, or the key claim sentences; they are wrapped in <mark> elements
+ * styled by category, with the reasons as a tooltip
  */
-function extractArticleText() {
-  // Common selectors for article content
-  const articleSelectors = [
-    'article',
-    '[role="article"]',
-    '.article-content',
-    '.post-content',
-    '.entry-content',
-    '.article-body',
-    '.content',
-    'main',
-    '[class*="article"]',
-    '[class*="post"]',
-    '[class*="story"]',
-    '[id*="article"]',
-    '[id*="content"]'
-  ];
-
-  let articleElement = null;
-
-  // Try to find article element
-  for (const selector of articleSelectors) {
-    const elements = document.querySelectorAll(selector);
-    for (const el of elements) {
-      const text = el.innerText || el.textContent || '';
-      if (text.trim().length > 500) {
-        articleElement = el;
-        break;
-      }
+const HIGHLIGHT_ATTRIBUTE = 'data-echoai-highlight';
+const HIGHLIGHT_STYLE_ID = 'echoai-highlight-styles';
+
+/**
+ * Adds the highlight styles to the page once
+ */
+function injectHighlightStyles() {
+  if (document.getElementById(HIGHLIGHT_STYLE_ID)) return;
+
+  const styleEl = document.createElement('style');
+  styleEl.id = HIGHLIGHT_STYLE_ID;
+  styleEl.textContent = `
+    mark[${HIGHLIGHT_ATTRIBUTE}] {
+      color: inherit;
+      background: rgba(230, 162, 60, 0.18);
+      border-bottom: 2px solid rgba(230, 162, 60, 0.7);
+      padding: 0;
+      cursor: help;
     }
-    if (articleElement) break;
-  }
+    mark[${HIGHLIGHT_ATTRIBUTE}].echoai-highlight-emotional {
+      background: rgba(155, 89, 182, 0.14);
+      border-bottom-color: rgba(155, 89, 182, 0.6);
+    }
+    mark[${HIGHLIGHT_ATTRIBUTE}].echoai-highlight-fact {
+      background: rgba(52, 152, 219, 0.14);
+      border-bottom-color: rgba(52, 152, 219, 0.6);
+    }
+    mark[${HIGHLIGHT_ATTRIBUTE}].echoai-highlight-opinion {
+      background: rgba(231, 76, 60, 0.14);
+      border-bottom-color: rgba(231, 76, 60, 0.6);
+    }
+    mark[${HIGHLIGHT_ATTRIBUTE}].echoai-highlight-quote {
+      background: rgba(39, 174, 96, 0.14);
+      border-bottom-color: rgba(39, 174, 96, 0.6);
+    }
+    mark[${HIGHLIGHT_ATTRIBUTE}].echoai-highlight-speculation {
+      background: rgba(127, 140, 141, 0.16);
+      border-bottom-color: rgba(127, 140, 141, 0.6);
+    }
+    mark[${HIGHLIGHT_ATTRIBUTE}].echoai-highlight-claim {
+      background: rgba(102, 126, 234, 0.14);
+      border-bottom-color: rgba(102, 126, 234, 0.6);
+    }
+    mark[${HIGHLIGHT_ATTRIBUTE}].echoai-highlight-active {
+      outline: 2px solid #667eea;
+      outline-offset: 1px;
+    }
+  `;
+  document.head.appendChild(styleEl);
+}
 
-  // Fallback: find largest text container
-  if (!articleElement) {
-    const allElements = document.querySelectorAll('div, section, main, article');
-    let maxLength = 0;
-    for (const el of allElements) {
-      const text = el.innerText || el.textContent || '';
-      if (text.trim().length > maxLength && text.trim().length > 500) {
-        maxLength = text.trim().length;
-        articleElement = el;
-      }
+/**
+ * Removes every highlight and rejoins the split text nodes
+ */
+function clearHighlights() {
+  const parents = new Set();
+  document.querySelectorAll(`mark[${HIGHLIGHT_ATTRIBUTE}]`).forEach(markEl => {
+    const parent = markEl.parentNode;
+    while (markEl.firstChild) {
+      parent.insertBefore(markEl.firstChild, markEl);
     }
-  }
+    parent.removeChild(markEl);
+    parents.add(parent);
+  });
+  parents.forEach(parent => parent.normalize());
+}
 
-  if (!articleElement) {
-    articleElement = document.body;
+/**
+ * Collects the visible text nodes under root with their text joined and whitespace collapsed,
+ * remembering which node and offset each character of the joined text came from
+ */
+function buildTextIndex(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      return !parent || parent.closest('script, style, noscript, textarea')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  const nodes = [];
+  const nodeIndexes = [];
+  const offsets = [];
+  let text = '';
+  let lastWasSpace = true;
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const value = node.nodeValue;
+    nodes.push(node);
+
+    for (let i = 0; i < value.length; i++) {
+      const isSpace = /\s/.test(value[i]);
+      if (isSpace && lastWasSpace) continue;
+      text += isSpace ? ' ' : value[i];
+      nodeIndexes.push(nodes.length - 1);
+      offsets.push(i);
+      lastWasSpace = isSpace;
+    }
   }
 
-  // Remove unwanted elements
-  const clone = articleElement.cloneNode(true);
-  const unwantedSelectors = [
-    'nav', 'header', 'footer', 'aside',
-    '.nav', '.navigation', '.menu',
-    '.sidebar', '.ad', '.advertisement',
-    '.social', '.share', '.comments',
-    'script', 'style', 'noscript',
-    '[class*="ad"]', '[class*="advertisement"]',
-    '[id*="ad"]', '[id*="advertisement"]'
-  ];
-
-  unwantedSelectors.forEach(selector => {
-    const elements = clone.querySelectorAll(selector);
-    elements.forEach(el => el.remove());
-  });
+  return { text, nodes, nodeIndexes, offsets };
+}
 
-  let text = clone.innerText || clone.textContent || '';
-  text = text
-    .replace(/\s+/g, ' ')
-    .replace(/\n\s*\n/g, '\n')
-    .trim();
+/**
+ * Wraps part of one text node in a highlight mark
+ */
+function wrapTextSegment(node, start, end, highlight) {
+  if (!node.nodeValue.slice(start, end).trim()) return;
+
+  if (end < node.nodeValue.length) node.splitText(end);
+  const target = start > 0 ? node.splitText(start) : node;
 
-  return text;
+  const markEl = document.createElement('mark');
+  markEl.setAttribute(HIGHLIGHT_ATTRIBUTE, highlight.id);
+  markEl.className = `echoai-highlight-${highlight.category}`;
+  markEl.title = highlight.reasons
+    .map(reason => `${reason.label.charAt(0).toUpperCase()}${reason.label.slice(1)}: ${reason.detail}`)
+    .join('\n');
+
+  target.parentNode.insertBefore(markEl, target);
+  markEl.appendChild(target);
 }
 
 /**
- * Extracts article metadata
+ * Highlights each sentence in the article, in page order
+ * Returns the ids of the highlights that were found on the page
  */
-function extractArticleMetadata() {
-  const metadata = {
-    title: document.title || 
-      (document.querySelector('h1')?.innerText || '') ||
-      (document.querySelector('[property="og:title"]')?.content || '') ||
-      (document.querySelector('meta[name="title"]')?.content || ''),
-    author: '',
-    date: '',
-    url: window.location.href,
-    domain: window.location.hostname
-  };
+function showHighlights(highlights) {
+  clearHighlights();
+  injectHighlightStyles();
 
-  const authorSelectors = [
-    '[property="article:author"]',
-    '[name="author"]',
-    '.author',
-    '[class*="author"]',
-    '[rel="author"]'
-  ];
-  for (const selector of authorSelectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      metadata.author = el.content || el.innerText || el.textContent || '';
-      if (metadata.author) break;
-    }
-  }
+  const index = buildTextIndex(findArticleElement());
+  const matches = [];
+  let searchFrom = 0;
 
-  const dateSelectors = [
-    '[property="article:published_time"]',
-    '[name="publish-date"]',
-    '[class*="date"]',
-    'time[datetime]'
-  ];
-  for (const selector of dateSelectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      metadata.date = el.content || el.getAttribute('datetime') || el.innerText || '';
-      if (metadata.date) break;
-    }
-  }
+  highlights.forEach(highlight => {
+    const sentence = highlight.text.replace(/\s+/g, ' ').trim();
+    let start = index.text.indexOf(sentence, searchFrom);
+    if (start === -1) start = index.text.indexOf(sentence);
+    if (start === -1 || sentence.length === 0) return;
+
+    const end = start + sentence.length;
+    if (matches.some(match => start < match.end && end > match.start)) return;
 
-  return metadata;
+    matches.push({ highlight, start, end });
+    searchFrom = end;
+  });
+
+  // Wrap from the end of the page backwards, so splitting a text node
+  // never shifts the offsets of a match that is still to be wrapped
+  matches
+    .sort((a, b) => b.start - a.start)
+    .forEach(({ highlight, start, end }) => {
+      const firstNode = index.nodeIndexes[start];
+      const lastNode = index.nodeIndexes[end - 1];
+
+      for (let n = lastNode; n >= firstNode; n--) {
+        const node = index.nodes[n];
+        const segmentStart = n === firstNode ? index.offsets[start] : 0;
+        const segmentEnd = n === lastNode ? index.offsets[end - 1] + 1 : node.nodeValue.length;
+        wrapTextSegment(node, segmentStart, segmentEnd, highlight);
+      }
+    });
+
+  return matches.map(match => match.highlight.id);
+}
+
+/**
+ * Scrolls to a highlight and briefly outlines it
+ */
+function scrollToHighlight(id) {
+  const markEls = document.querySelectorAll(`mark[${HIGHLIGHT_ATTRIBUTE}="${id}"]`);
+  if (markEls.length === 0) return false;
+
+  markEls[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+  markEls.forEach(markEl => markEl.classList.add('echoai-highlight-active'));
+  setTimeout(() => {
+    markEls.forEach(markEl => markEl.classList.remove('echoai-highlight-active'));
+  }, 2000);
+  return true;
 }
 
 /**
  * Main function to extract and send article data
+ * Without options.manual the page is only sent when the site rules and page classifier allow it
+ * Returns { analyzed, reason }
  */
-async function processArticle() {
+async function processArticle(options = {}) {
   if (isProcessing) {
-    return;
+    return { analyzed: false, reason: 'Analysis is already running.' };
   }
 
   isProcessing = true;
@@ -151,44 +218,113 @@ async function processArticle() {
 
     if (!text || text.length < 100) {
       console.log('EchoAI: Not enough text content found');
-      isProcessing = false;
-      return;
+      return { analyzed: false, reason: 'Not enough text content found on this page.' };
     }
 
+    if (!options.manual) {
+      const classification = classifyPage(document, metadata, text);
+      const decision = decideAutoAnalysis(metadata.domain, classification, await getAutoAnalysisSettings());
+      if (!decision.analyze) {
+        console.log(`EchoAI: Skipping automatic analysis (score ${classification.score}): ${decision.reason}`);
+        return { analyzed: false, reason: decision.reason };
+      }
+    }
+
+    const links = extractArticleLinks();
+
     // Send to background script for analysis
+    // Results stream to the sidebar over its own port, so nothing is relayed from here
     chrome.runtime.sendMessage({
       type: 'ANALYZE_ARTICLE',
       data: {
         text: text,
-        metadata: metadata
+        metadata: metadata,
+        links: links,
+        // The signed-in user's name is redacted before anything is sent
+        account: detectAccountContext()
       }
     }, (response) => {
-      if (response && response.success) {
-        // Notify sidebar of new analysis
-        chrome.runtime.sendMessage({
-          type: 'UPDATE_SIDEBAR',
-          data: response.analysis
-        });
+      if (response && !response.success) {
+        console.error('EchoAI: Analysis failed:', response.error);
       }
     });
 
+    return { analyzed: true, reason: null };
   } catch (error) {
     console.error('EchoAI: Error processing article:', error);
+    return { analyzed: false, reason: `Could not read this page: ${error.message}` };
   } finally {
     isProcessing = false;
   }
 }
 
+/**
+ * Reads the whole article without sending it anywhere, for comparing it with another one
+ * Returns { text, metadata, links, account }
+ */
+function extractArticle() {
+  return {
+    text: extractArticleText(),
+    metadata: extractArticleMetadata(),
+    links: extractArticleLinks(),
+    account: detectAccountContext()
+  };
+}
+
+/**
+ * Reads the text the user has selected, with the page's metadata, for the "analyze selection" menu
+ * Returns { text, metadata, links, account }
+ */
+function extractSelection() {
+  const selection = window.getSelection();
+  const text = selection ? selection.toString().replace(/\n{3,}/g, '\n\n').trim() : '';
+  const links = [];
+
+  if (selection) {
+    for (let i = 0; i < selection.rangeCount; i++) {
+      links.push(...extractArticleLinks(selection.getRangeAt(i).cloneContents()));
+    }
+  }
+
+  return {
+    text: text,
+    metadata: extractArticleMetadata(),
+    links: links,
+    account: detectAccountContext()
+  };
+}
+
 // Listen for messages from background or sidebar
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'EXTRACT_ARTICLE') {
-    processArticle().then(() => {
-      sendResponse({ success: true });
+    processArticle({ manual: message.manual }).then(result => {
+      sendResponse({ success: true, ...result });
     }).catch(error => {
       sendResponse({ success: false, error: error.message });
     });
     return true; // Keep channel open for async response
   }
+
+  if (message.type === 'GET_ARTICLE') {
+    sendResponse(extractArticle());
+  }
+
+  if (message.type === 'GET_SELECTION') {
+    sendResponse(extractSelection());
+  }
+
+  if (message.type === 'SHOW_HIGHLIGHTS') {
+    sendResponse({ success: true, found: showHighlights(message.highlights || []) });
+  }
+
+  if (message.type === 'CLEAR_HIGHLIGHTS') {
+    clearHighlights();
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'SCROLL_TO_HIGHLIGHT') {
+    sendResponse({ success: scrollToHighlight(message.id) });
+  }
 });
 
 // Auto-process when page loads (with delay to ensure DOM is ready)
@@ -0,0 +1,38 @@
+/**
+ * Offscreen document for EchoAI
+ * The service worker has no DOM, so pages it fetches (links pasted into the sidebar) are parsed
+ * and run through the same article extraction as the content script here
+ */
+
+/**
+ * Parses fetched HTML and extracts the article the way the content script would
+ * Returns { text, metadata, links }
+ */
+function extractFetchedArticle(html, url) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  // Resolve relative links against the page, not the extension
+  if (!doc.querySelector('base[href]')) {
+    const baseEl = doc.createElement('base');
+    baseEl.href = url;
+    doc.head.prepend(baseEl);
+  }
+
+  return {
+    text: extractArticleText(doc),
+    metadata: extractArticleMetadata(doc, url),
+    links: extractArticleLinks(findArticleElement(doc) || doc.body)
+  };
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return;
+
+  if (message.type === 'EXTRACT_FETCHED_ARTICLE') {
+    try {
+      sendResponse({ success: true, article: extractFetchedArticle(message.html, message.url) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+});
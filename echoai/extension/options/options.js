@@ -0,0 +1,372 @@
+/**
+ * Options page for EchoAI
+ * Lets users manage outlet database overrides and edit the prompt templates used for article analysis
+ */
+
+const templatesEl = document.getElementById('templates');
+
+// Outlet database elements
+const outletDatasetInfoEl = document.getElementById('outlet-dataset-info');
+const outletDomainInputEl = document.getElementById('outlet-domain-input');
+const outletNameInputEl = document.getElementById('outlet-name-input');
+const outletLeanInputEl = document.getElementById('outlet-lean-input');
+const outletFactualSelectEl = document.getElementById('outlet-factual-select');
+const outletOwnershipInputEl = document.getElementById('outlet-ownership-input');
+const outletCountryInputEl = document.getElementById('outlet-country-input');
+const saveOutletBtn = document.getElementById('save-outlet');
+const outletImportFileEl = document.getElementById('outlet-import-file');
+const outletStatusEl = document.getElementById('outlet-status');
+const outletOverridesEl = document.getElementById('outlet-overrides');
+const clearOutletsBtn = document.getElementById('clear-outlets');
+
+// Automatic analysis elements
+const autoAnalysisModeSelectEl = document.getElementById('auto-analysis-mode-select');
+const siteAllowListEl = document.getElementById('site-allow-list');
+const siteDenyListEl = document.getElementById('site-deny-list');
+const saveSiteRulesBtn = document.getElementById('save-site-rules');
+const siteRulesStatusEl = document.getElementById('site-rules-status');
+
+// Privacy elements
+const privacyToggleEls = {
+  redactEmails: document.getElementById('redact-emails'),
+  redactPhones: document.getElementById('redact-phones'),
+  redactIdNumbers: document.getElementById('redact-id-numbers'),
+  redactAccountNames: document.getElementById('redact-account-names'),
+  excludeIncognito: document.getElementById('exclude-incognito'),
+  debugLogging: document.getElementById('debug-logging')
+};
+const neverSendDomainsEl = document.getElementById('never-send-domains');
+const redactTermsEl = document.getElementById('redact-terms');
+const savePrivacyBtn = document.getElementById('save-privacy');
+const privacyStatusEl = document.getElementById('privacy-status');
+
+// Article recommendation elements
+const articleSearchProvidersEl = document.getElementById('article-search-providers');
+const rssFeedsEl = document.getElementById('rss-feeds');
+const feedStatusEl = document.getElementById('feed-status');
+const saveArticleSearchBtn = document.getElementById('save-article-search');
+const articleSearchStatusEl = document.getElementById('article-search-status');
+
+/**
+ * Builds the editor card for one template
+ */
+function renderTemplateEditor(template) {
+  const sectionEl = document.createElement('section');
+  sectionEl.className = 'section';
+
+  const titleEl = document.createElement('h2');
+  titleEl.className = 'section-title';
+  titleEl.textContent = template.name;
+  sectionEl.appendChild(titleEl);
+
+  const metaEl = document.createElement('div');
+  metaEl.className = 'template-meta';
+  const descriptionEl = document.createElement('span');
+  descriptionEl.textContent = template.description;
+  const versionEl = document.createElement('span');
+  versionEl.textContent = `Version ${template.version}${template.customized ? ' (customized)' : ''}`;
+  metaEl.appendChild(descriptionEl);
+  metaEl.appendChild(versionEl);
+  sectionEl.appendChild(metaEl);
+
+  const variablesEl = document.createElement('p');
+  variablesEl.className = 'template-variables';
+  variablesEl.appendChild(document.createTextNode('Variables: '));
+  template.variables.forEach((name, i) => {
+    if (i > 0) variablesEl.appendChild(document.createTextNode(' '));
+    const codeEl = document.createElement('code');
+    codeEl.textContent = `{{${name}}}`;
+    variablesEl.appendChild(codeEl);
+  });
+  sectionEl.appendChild(variablesEl);
+
+  const editorEl = document.createElement('textarea');
+  editorEl.className = 'template-editor';
+  editorEl.value = template.template;
+  sectionEl.appendChild(editorEl);
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn btn-primary';
+  saveBtn.textContent = 'Save';
+
+  const resetBtn = document.createElement('button');
+  resetBtn.className = 'btn btn-secondary';
+  resetBtn.textContent = 'Reset to Default';
+  resetBtn.style.marginLeft = '8px';
+  resetBtn.disabled = !template.customized;
+
+  const statusEl = document.createElement('span');
+  statusEl.className = 'template-status';
+
+  saveBtn.addEventListener('click', async () => {
+    const text = editorEl.value.trim();
+    if (!text) {
+      alert('A template cannot be empty.');
+      return;
+    }
+
+    const missing = template.variables.filter(name => /text|summaries/i.test(name) && !text.includes(`{{${name}}}`));
+    if (missing.length > 0 && !confirm(`This template no longer includes ${missing.map(name => `{{${name}}}`).join(', ')}. Save anyway?`)) {
+      return;
+    }
+
+    const version = await savePromptTemplate(template.id, text);
+    versionEl.textContent = `Version ${version} (customized)`;
+    resetBtn.disabled = false;
+    statusEl.textContent = 'Saved';
+  });
+
+  resetBtn.addEventListener('click', async () => {
+    if (confirm(`Reset "${template.name}" to the built-in prompt?`)) {
+      await resetPromptTemplate(template.id);
+      loadTemplates();
+    }
+  });
+
+  sectionEl.appendChild(saveBtn);
+  sectionEl.appendChild(resetBtn);
+  sectionEl.appendChild(statusEl);
+
+  return sectionEl;
+}
+
+/**
+ * Loads every template and renders its editor
+ */
+async function loadTemplates() {
+  const templates = await getPromptTemplates();
+  templatesEl.innerHTML = '';
+  Object.values(templates).forEach(template => {
+    templatesEl.appendChild(renderTemplateEditor(template));
+  });
+}
+
+/**
+ * Lists the user's outlet overrides with a remove button each
+ */
+async function loadOutletOverrides() {
+  const dataset = await loadOutletDataset();
+  outletDatasetInfoEl.textContent = dataset.version
+    ? `Built-in dataset version ${dataset.version} (${dataset.updated}) lists ${Object.keys(dataset.outlets).length} outlets.`
+    : 'The built-in dataset could not be loaded.';
+
+  const overrides = Object.values(await getOutletOverrides())
+    .sort((a, b) => a.domain.localeCompare(b.domain));
+
+  outletOverridesEl.innerHTML = '';
+  clearOutletsBtn.disabled = overrides.length === 0;
+
+  overrides.forEach(outlet => {
+    const itemEl = document.createElement('li');
+    itemEl.className = 'outlet-override';
+
+    const textEl = document.createElement('span');
+    const details = [outlet.ownership, outlet.country, outlet.factualRating].filter(Boolean).join(' · ');
+    textEl.textContent = `${outlet.domain} · ${outlet.name} · lean ${outlet.lean.toFixed(1)}${details ? ` · ${details}` : ''}`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-secondary';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+      await removeOutletOverride(outlet.domain);
+      loadOutletOverrides();
+    });
+
+    itemEl.appendChild(textEl);
+    itemEl.appendChild(removeBtn);
+    outletOverridesEl.appendChild(itemEl);
+  });
+}
+
+/**
+ * Saves the outlet entered in the form as an override
+ */
+async function saveOutlet() {
+  try {
+    const outlet = await saveOutletOverride({
+      domain: outletDomainInputEl.value,
+      name: outletNameInputEl.value,
+      lean: outletLeanInputEl.value,
+      factualRating: outletFactualSelectEl.value,
+      ownership: outletOwnershipInputEl.value,
+      country: outletCountryInputEl.value
+    });
+    outletStatusEl.textContent = `Saved ${outlet.domain}`;
+    [outletDomainInputEl, outletNameInputEl, outletLeanInputEl, outletOwnershipInputEl, outletCountryInputEl]
+      .forEach(inputEl => { inputEl.value = ''; });
+    outletFactualSelectEl.value = '';
+    loadOutletOverrides();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Imports outlets from the chosen CSV or JSON file
+ */
+async function importOutletFile() {
+  const file = outletImportFileEl.files[0];
+  if (!file) return;
+
+  try {
+    const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'json';
+    const result = await importOutlets(await file.text(), format);
+    const skipped = result.skipped.length > 0
+      ? `, skipped ${result.skipped.length} (${result.skipped.slice(0, 3).map(s => `row ${s.row}: ${s.reason}`).join('; ')})`
+      : '';
+    outletStatusEl.textContent = `Imported ${result.imported} outlet${result.imported === 1 ? '' : 's'}${skipped}`;
+    loadOutletOverrides();
+  } catch (error) {
+    alert(`Import failed: ${error.message}`);
+  } finally {
+    outletImportFileEl.value = '';
+  }
+}
+
+/**
+ * Loads the automatic analysis mode and site lists into the form
+ */
+async function loadSiteRules() {
+  const settings = await getAutoAnalysisSettings();
+  autoAnalysisModeSelectEl.innerHTML = '';
+  Object.entries(AUTO_ANALYSIS_MODES).forEach(([id, label]) => {
+    const optionEl = document.createElement('option');
+    optionEl.value = id;
+    optionEl.textContent = label;
+    autoAnalysisModeSelectEl.appendChild(optionEl);
+  });
+  autoAnalysisModeSelectEl.value = settings.mode;
+  siteAllowListEl.value = settings.allow.join('\n');
+  siteDenyListEl.value = settings.deny.join('\n');
+}
+
+/**
+ * Saves the automatic analysis mode and site lists
+ */
+async function saveSiteRules() {
+  await saveAutoAnalysisSettings({
+    mode: autoAnalysisModeSelectEl.value,
+    allow: parseSiteList(siteAllowListEl.value),
+    deny: parseSiteList(siteDenyListEl.value)
+  });
+  siteRulesStatusEl.textContent = 'Saved';
+  loadSiteRules();
+}
+
+/**
+ * Loads the privacy settings into the form
+ */
+async function loadPrivacySettings() {
+  const settings = await getPrivacySettings();
+  Object.entries(privacyToggleEls).forEach(([key, inputEl]) => {
+    inputEl.checked = Boolean(settings[key]);
+  });
+  neverSendDomainsEl.value = settings.neverSendDomains.join('\n');
+  redactTermsEl.value = settings.redactTerms.join('\n');
+}
+
+/**
+ * Saves the privacy settings
+ */
+async function savePrivacy() {
+  const settings = {
+    neverSendDomains: parseSiteList(neverSendDomainsEl.value),
+    redactTerms: [...new Set(redactTermsEl.value.split('\n').map(term => term.trim()).filter(Boolean))]
+  };
+  Object.entries(privacyToggleEls).forEach(([key, inputEl]) => {
+    settings[key] = inputEl.checked;
+  });
+  await savePrivacySettings(settings);
+  privacyStatusEl.textContent = 'Saved';
+  loadPrivacySettings();
+}
+
+/**
+ * Loads the article search providers and feed list into the form
+ */
+async function loadArticleSearchSettings() {
+  const settings = await getArticleSearchSettings();
+  articleSearchProvidersEl.innerHTML = '';
+  Object.entries(ARTICLE_SEARCH_PROVIDERS).forEach(([id, provider]) => {
+    const labelEl = document.createElement('label');
+    labelEl.className = 'highlight-toggle';
+    labelEl.title = provider.description;
+    const inputEl = document.createElement('input');
+    inputEl.type = 'checkbox';
+    inputEl.value = id;
+    inputEl.checked = settings.providers.includes(id);
+    labelEl.appendChild(inputEl);
+    labelEl.appendChild(document.createTextNode(` ${provider.label}: ${provider.description}`));
+    articleSearchProvidersEl.appendChild(labelEl);
+  });
+  rssFeedsEl.value = formatFeedList(settings.rssFeeds);
+  loadFeedStatus(settings.rssFeeds);
+}
+
+/**
+ * Lists how the last poll of each feed went
+ */
+async function loadFeedStatus(feeds) {
+  const status = await getFeedIndexStatus();
+  feedStatusEl.innerHTML = '';
+
+  feeds.forEach(feed => {
+    const feedStatus = status[feed.url];
+    const itemEl = document.createElement('li');
+    itemEl.className = 'outlet-override';
+    if (!feedStatus) {
+      itemEl.textContent = `${feed.url} · not polled yet`;
+    } else {
+      const polled = new Date(feedStatus.polledAt).toLocaleString();
+      itemEl.textContent = feedStatus.error
+        ? `${feed.url} · failed ${polled}: ${feedStatus.error}`
+        : `${feedStatus.title || feed.url} · ${feedStatus.itemCount} items · polled ${polled}`;
+    }
+    feedStatusEl.appendChild(itemEl);
+  });
+}
+
+/**
+ * Saves the enabled article search providers and feed list, then has the background poll the feeds
+ */
+async function saveArticleSearch() {
+  const { feeds, invalid } = parseFeedList(rssFeedsEl.value);
+  if (invalid.length > 0 && !confirm(`These lines aren't a feed URL followed by a lean and will be dropped:\n${invalid.join('\n')}\nSave anyway?`)) {
+    return;
+  }
+
+  await saveArticleSearchSettings({
+    providers: Array.from(articleSearchProvidersEl.querySelectorAll('input:checked')).map(inputEl => inputEl.value),
+    rssFeeds: feeds
+  });
+  articleSearchStatusEl.textContent = 'Saved, polling feeds...';
+  loadArticleSearchSettings();
+
+  chrome.runtime.sendMessage({ type: 'REFRESH_FEED_INDEX' }, (response) => {
+    if (!response || !response.success) {
+      articleSearchStatusEl.textContent = `Saved, but polling failed${response ? `: ${response.error}` : ''}`;
+    } else {
+      articleSearchStatusEl.textContent = response.status ? 'Saved and polled' : 'Saved';
+    }
+    loadArticleSearchSettings();
+  });
+}
+
+saveArticleSearchBtn.addEventListener('click', saveArticleSearch);
+savePrivacyBtn.addEventListener('click', savePrivacy);
+saveSiteRulesBtn.addEventListener('click', saveSiteRules);
+saveOutletBtn.addEventListener('click', saveOutlet);
+outletImportFileEl.addEventListener('change', importOutletFile);
+clearOutletsBtn.addEventListener('click', async () => {
+  if (confirm('Remove all of your outlet overrides?')) {
+    await clearOutletOverrides();
+    outletStatusEl.textContent = '';
+    loadOutletOverrides();
+  }
+});
+
+loadSiteRules();
+loadPrivacySettings();
+loadArticleSearchSettings();
+loadOutletOverrides();
+loadTemplates();
@@ -5,40 +5,217 @@
 
 // DOM elements
 const loadingEl = document.getElementById('loading');
+const loadingMessageEl = document.getElementById('loading-message');
 const contentEl = document.getElementById('content');
 const errorEl = document.getElementById('error');
 const errorMessageEl = document.getElementById('error-message');
 const retryBtn = document.getElementById('retry-btn');
+const inputPanelEl = document.getElementById('input-panel');
+const inputTextEl = document.getElementById('input-text');
+const analyzeInputBtn = document.getElementById('analyze-input-btn');
+
+// Compare mode elements
+const comparePanelEl = document.getElementById('compare-panel');
+const compareASelectEl = document.getElementById('compare-a-select');
+const compareBSelectEl = document.getElementById('compare-b-select');
+const compareBtn = document.getElementById('compare-btn');
+const compareViewEl = document.getElementById('compare-view');
+const compareArticlesEl = document.getElementById('compare-articles');
+const compareBiasTrackEl = document.getElementById('compare-bias-track');
+const compareBiasScoresEl = document.getElementById('compare-bias-scores');
+const compareEmotionalTrackEl = document.getElementById('compare-emotional-track');
+const compareEmotionalScoresEl = document.getElementById('compare-emotional-scores');
+const compareFramingSummaryEl = document.getElementById('compare-framing-summary');
+const compareFramingDetailsEl = document.getElementById('compare-framing-details');
+const compareHeadlinesEl = document.getElementById('compare-headlines');
+const compareOnlyAEl = document.getElementById('compare-only-a');
+const compareOnlyBEl = document.getElementById('compare-only-b');
+const compareWordChoicesEl = document.getElementById('compare-word-choices');
+const closeCompareBtn = document.getElementById('close-compare-btn');
+
+// Story elements
+const storiesPanelEl = document.getElementById('stories-panel');
+const storiesListEl = document.getElementById('stories-list');
+const storyViewEl = document.getElementById('story-view');
+const storyTitleEl = document.getElementById('story-title');
+const storyKeywordsEl = document.getElementById('story-keywords');
+const storyTrackEl = document.getElementById('story-track');
+const storyBlindspotEl = document.getElementById('story-blindspot');
+const storyArticlesEl = document.getElementById('story-articles');
+const closeStoryBtn = document.getElementById('close-story-btn');
+const skippedEl = document.getElementById('skipped');
+const skippedMessageEl = document.getElementById('skipped-message');
+const analyzePageBtn = document.getElementById('analyze-page-btn');
+const allowSiteBtn = document.getElementById('allow-site-btn');
+const analysisStatusEl = document.getElementById('analysis-status');
+const analysisStatusTextEl = document.getElementById('analysis-status-text');
+const selectionBannerEl = document.getElementById('selection-banner');
+const selectionExcerptEl = document.getElementById('selection-excerpt');
+const analyzeWholePageBtn = document.getElementById('analyze-whole-page-btn');
 
 // Article elements
 const articleTitleEl = document.getElementById('article-title');
+const articleTypeEl = document.getElementById('article-type');
 const articleAuthorEl = document.getElementById('article-author');
+const articlePublisherEl = document.getElementById('article-publisher');
 const articleDomainEl = document.getElementById('article-domain');
+const articlePaywallEl = document.getElementById('article-paywall');
+const articleUsageEl = document.getElementById('article-usage');
+const articleDetailsEl = document.getElementById('article-details');
+const articleOutletEl = document.getElementById('article-outlet');
+const articleStoryEl = document.getElementById('article-story');
 
 // Political bias elements
 const biasIndicatorEl = document.getElementById('bias-indicator');
 const biasLabelEl = document.getElementById('bias-label');
 const biasScoreValueEl = document.getElementById('bias-score-value');
+const biasContextEl = document.getElementById('bias-context');
 const biasExplanationEl = document.getElementById('bias-explanation');
+const biasRationaleEl = document.getElementById('bias-rationale');
+const biasVectorsEl = document.getElementById('bias-vectors');
 
 // Emotional charge elements
 const emotionalIndicatorEl = document.getElementById('emotional-indicator');
 const emotionalLabelEl = document.getElementById('emotional-label');
 const emotionalScoreValueEl = document.getElementById('emotional-score-value');
+const emotionalDetailEl = document.getElementById('emotional-detail');
+
+// Quoted voices elements
+const voicesAuthorEl = document.getElementById('voices-author');
+const voicesSpectrumEl = document.getElementById('voices-spectrum');
+const voicesTrackEl = document.getElementById('voices-track');
+const voicesBalanceEl = document.getElementById('voices-balance');
+const voicesSidesEl = document.getElementById('voices-sides');
 
 // Summary elements
 const neutralSummaryEl = document.getElementById('neutral-summary');
 const opposingViewpointEl = document.getElementById('opposing-viewpoint');
+const opposingViewpointTitleEl = document.getElementById('opposing-viewpoint-title');
+const neutralSummarySourcesEl = document.getElementById('neutral-summary-sources');
+const opposingViewpointSourcesEl = document.getElementById('opposing-viewpoint-sources');
+const keyClaimsEl = document.getElementById('key-claims');
+const claimsSummaryEl = document.getElementById('claims-summary');
+const loadedLanguageEl = document.getElementById('loaded-language');
+
+// Sourcing profile elements
+const sourcingSummaryEl = document.getElementById('sourcing-summary');
+const sourcingSignalsEl = document.getElementById('sourcing-signals');
+const sourcingCategoriesEl = document.getElementById('sourcing-categories');
+const sourcingLinksEl = document.getElementById('sourcing-links');
+
+// Highlight elements
+const highlightsToggleEl = document.getElementById('highlights-toggle');
+const highlightsListEl = document.getElementById('highlights-list');
+
+// Fact vs opinion elements
+const labelDistributionEl = document.getElementById('label-distribution');
+const labelFiltersEl = document.getElementById('label-filters');
+const labelSourceEl = document.getElementById('label-source');
+const labelSentencesEl = document.getElementById('label-sentences');
 
 // Opposing articles elements
 const opposingArticlesEl = document.getElementById('opposing-articles');
 
+// Privacy preview elements
+const transmissionSummaryEl = document.getElementById('transmission-summary');
+const transmissionRedactionsEl = document.getElementById('transmission-redactions');
+const transmissionDetailsEl = document.getElementById('transmission-details');
+const transmissionPreviewEl = document.getElementById('transmission-preview');
+
 // Settings elements
+const llmProviderSelectEl = document.getElementById('llm-provider-select');
+const llmBaseUrlInputEl = document.getElementById('llm-base-url-input');
+const llmModelInputEl = document.getElementById('llm-model-input');
+const apiKeyLabelEl = document.getElementById('api-key-label');
 const apiKeyInputEl = document.getElementById('api-key-input');
 const saveApiKeyBtn = document.getElementById('save-api-key');
+const chunkBudgetInputEl = document.getElementById('chunk-budget-input');
+const llmSentenceLabelsToggleEl = document.getElementById('llm-sentence-labels-toggle');
+const autoAnalysisSelectEl = document.getElementById('auto-analysis-select');
+const denySiteBtn = document.getElementById('deny-site-btn');
+const editSiteListsBtn = document.getElementById('edit-site-lists');
+
+// Usage elements
+const usageTodayValueEl = document.getElementById('usage-today-value');
+const usageTodayBarEl = document.getElementById('usage-today-bar');
+const usageMonthValueEl = document.getElementById('usage-month-value');
+const usageMonthBarEl = document.getElementById('usage-month-bar');
+const usageTopDomainsEl = document.getElementById('usage-top-domains');
+const budgetDailyInputEl = document.getElementById('budget-daily-input');
+const budgetMonthlyInputEl = document.getElementById('budget-monthly-input');
+const priceInputInputEl = document.getElementById('price-input-input');
+const priceOutputInputEl = document.getElementById('price-output-input');
+const saveBudgetBtn = document.getElementById('save-budget');
+const clearUsageBtn = document.getElementById('clear-usage');
+const editPromptsBtn = document.getElementById('edit-prompts');
 const clearCacheBtn = document.getElementById('clear-cache');
 
 let currentAnalysis = null;
+let currentHighlights = [];
+let currentSentenceLabels = null;
+let currentClaims = [];
+
+// The page's own label (news, opinion or analysis); the bias score is presented differently for opinion pieces
+let currentArticleType = null;
+
+const ARTICLE_TYPE_NAMES = {
+  news: 'News',
+  opinion: 'Opinion',
+  analysis: 'Analysis'
+};
+
+// Shown above the bias score when the page labels itself as something other than news
+const ARTICLE_TYPE_BIAS_NOTES = {
+  opinion: 'The publisher labels this as opinion. A clear lean is expected: the score describes the writer\'s argument, not slanted news coverage.',
+  analysis: 'The publisher labels this as analysis. Interpretation is part of the format, so some lean in the framing is expected.'
+};
+
+// Sides of a story's coverage (see utils/storyClustering.js)
+const STORY_SIDE_NAMES = {
+  liberal: 'Liberal',
+  center: 'Center',
+  conservative: 'Conservative'
+};
+
+// The story the current article belongs to, when other analyzed articles cover it too
+let currentStory = null;
+
+// What the page highlights show: null for the loaded/emotional highlights (when toggled on),
+// a sentence label, or 'claims'
+let pageHighlightSet = null;
+
+// Sentence labels in display order, with the names used in the sidebar
+const SENTENCE_LABEL_NAMES = {
+  fact: 'Factual claims',
+  opinion: 'Opinion',
+  quote: 'Attributed quotes',
+  speculation: 'Speculation'
+};
+
+// Claim sourcing statuses, strongest first, with the names used in the checklist
+const CLAIM_SOURCING_NAMES = {
+  named: 'Named source',
+  link: 'Linked source',
+  anonymous: 'Anonymous source',
+  none: 'No source given'
+};
+
+// Article whose outgoing text is in the preview; cached analyses don't keep the text
+let transmissionPreviewUrl = null;
+
+// API keys saved for each provider, so switching providers in the form shows that provider's key
+let savedApiKeys = {};
+
+// Streaming state: the port to the background and the article this sidebar is showing
+const ANALYSIS_TIMEOUT_MS = 60000;
+const SELECTION_EXCERPT_DISPLAY_LENGTH = 160;
+let analysisPort = null;
+let watchedUrl = null;
+// Set while a passage selected from the page is shown instead of the page-level analysis
+let watchedSelectionId = null;
+let analysisTimeoutId = null;
+let stageMessage = null;
+let queueMessage = null;
 
 /**
  * Updates the political leaning visualization
@@ -52,6 +229,8 @@ function updateBiasVisualization(bias) {
     biasScoreValueEl.textContent = 'N/A';
     biasExplanationEl.textContent = bias.explanation || bias.error || 'Political analysis could not be completed.';
     biasIndicatorEl.style.display = 'none';
+    updateBiasVectors(bias.vectors);
+    updateOutletInfo(bias.outlet);
     return;
   }
   
@@ -59,6 +238,7 @@ function updateBiasVisualization(bias) {
   const score = bias.score !== null ? bias.score : 0;
   const label = bias.label || 'Moderate';
   const explanation = bias.explanation || '';
+  const isOpinion = currentArticleType === 'opinion';
 
   // Update bias indicator position (-1 to 1 maps to 0% to 100%)
   // Score system: -1 = Conservative, 0 = Moderate, 1 = Liberal
@@ -67,8 +247,14 @@ function updateBiasVisualization(bias) {
   const position = ((1 - score) / 2) * 100;
   biasIndicatorEl.style.left = `${position}%`;
 
-  // Update label and score
-  biasLabelEl.textContent = label;
+  // Update label and score; an opinion piece's lean is its argument, so say so next to the label
+  biasLabelEl.textContent = isOpinion ? `${label} (opinion)` : label;
+  if (ARTICLE_TYPE_BIAS_NOTES[currentArticleType]) {
+    biasContextEl.textContent = ARTICLE_TYPE_BIAS_NOTES[currentArticleType];
+    biasContextEl.style.display = 'block';
+  } else {
+    biasContextEl.style.display = 'none';
+  }
   if (score !== null) {
     biasScoreValueEl.textContent = score.toFixed(2);
   } else {
@@ -83,6 +269,7 @@ function updateBiasVisualization(bias) {
   } else {
     biasIndicatorEl.className = 'spectrum-indicator moderate';
   }
+  biasIndicatorEl.classList.toggle('opinion', isOpinion);
 
   // Update explanation
   if (explanation) {
@@ -90,6 +277,59 @@ function updateBiasVisualization(bias) {
   } else {
     biasExplanationEl.textContent = `Political leaning: ${score !== null ? score.toFixed(2) : 'N/A'} (${label})`;
   }
+
+  updateBiasVectors(bias.vectors);
+  updateOutletInfo(bias.outlet);
+}
+
+/**
+ * Shows how each scoring vector contributed to the political leaning
+ * Vectors come from the multi-vector scorer; local heuristic scores have none
+ */
+function updateBiasVectors(vectors) {
+  biasVectorsEl.innerHTML = '';
+
+  if (!vectors || vectors.length === 0) {
+    biasVectorsEl.style.display = 'none';
+    return;
+  }
+
+  vectors.forEach(vector => {
+    const itemEl = document.createElement('li');
+    itemEl.className = vector.available ? 'bias-vector' : 'bias-vector unavailable';
+
+    const headerEl = document.createElement('div');
+    headerEl.className = 'bias-vector-header';
+    const nameEl = document.createElement('span');
+    nameEl.textContent = `${vector.name} (${Math.round(vector.weight * 100)}%)`;
+    const scoreEl = document.createElement('span');
+    scoreEl.className = 'bias-vector-score';
+    scoreEl.textContent = vector.available
+      ? `${vector.score.toFixed(2)} · ${Math.round(vector.confidence * 100)}% conf.`
+      : 'No signal';
+    headerEl.appendChild(nameEl);
+    headerEl.appendChild(scoreEl);
+    itemEl.appendChild(headerEl);
+
+    if (vector.available) {
+      const shareEl = document.createElement('div');
+      shareEl.className = 'bias-vector-share';
+      const fillEl = document.createElement('div');
+      fillEl.className = 'bias-vector-share-fill';
+      fillEl.style.width = `${Math.round(vector.share * 100)}%`;
+      shareEl.appendChild(fillEl);
+      itemEl.appendChild(shareEl);
+
+      const detailEl = document.createElement('span');
+      detailEl.className = 'detail-note';
+      detailEl.textContent = vector.detail;
+      itemEl.appendChild(detailEl);
+    }
+
+    biasVectorsEl.appendChild(itemEl);
+  });
+
+  biasVectorsEl.style.display = 'flex';
 }
 
 /**
@@ -103,6 +343,7 @@ function updateEmotionalVisualization(emotionalCharge) {
     emotionalLabelEl.textContent = 'Analysis Failed';
     emotionalScoreValueEl.textContent = 'N/A';
     emotionalIndicatorEl.style.display = 'none';
+    emotionalDetailEl.style.display = 'none';
     return;
   }
   
@@ -130,6 +371,111 @@ function updateEmotionalVisualization(emotionalCharge) {
   } else {
     emotionalIndicatorEl.className = 'spectrum-indicator neutral-emotional';
   }
+
+  // Charge measures intensity in either direction, so say which way the tone leans
+  if (emotionalCharge.sentenceCount > 0) {
+    const tone = emotionalCharge.polarity > 0.05 ? 'positive' : emotionalCharge.polarity < -0.05 ? 'negative' : 'mixed or neutral';
+    emotionalDetailEl.textContent = `${emotionalCharge.chargedSentences} of ${emotionalCharge.sentenceCount} sentences are strongly charged. Overall tone: ${tone}.`;
+    emotionalDetailEl.style.display = 'block';
+  } else {
+    emotionalDetailEl.style.display = 'none';
+  }
+}
+
+/**
+ * Shows the author's own voice apart from the quoted speakers, and how the quotes balance across the spectrum
+ * Speakers with a known lean are marked on the spectrum bar
+ */
+function updateQuotedVoices(voices) {
+  voicesTrackEl.innerHTML = '';
+  voicesBalanceEl.innerHTML = '';
+
+  if (!voices) {
+    voicesAuthorEl.textContent = 'No quote analysis available.';
+    voicesSpectrumEl.style.display = 'none';
+    voicesSidesEl.innerHTML = '';
+    return;
+  }
+
+  const authorParts = [
+    `The author's own narration is ${Math.round(voices.authorShare * 100)}% of the text`,
+    `emotional charge ${voices.author.emotionalCharge.label} (${voices.author.emotionalCharge.score.toFixed(2)})`
+  ];
+  if (voices.author.lean) {
+    authorParts.push(`wording leans ${voices.author.lean.label} (${voices.author.lean.score.toFixed(2)})`);
+  }
+  voicesAuthorEl.textContent = voices.quoteCount > 0
+    ? `${authorParts.join('; ')}. The scores above use the narration only.`
+    : 'No direct quotes found; the whole text is the author\'s voice.';
+
+  const placed = voices.speakers.filter(speaker => speaker.lean !== null);
+  voicesSpectrumEl.style.display = placed.length > 0 ? 'block' : 'none';
+  placed.forEach(speaker => {
+    const markerEl = document.createElement('div');
+    markerEl.className = `speaker-marker ${speaker.side}`;
+    // Same orientation as the political leaning bar: Liberal on the left
+    markerEl.style.left = `${((1 - speaker.lean) / 2) * 100}%`;
+    markerEl.title = `${speaker.name}: ${speaker.quoteCount} quote${speaker.quoteCount === 1 ? '' : 's'} (${speaker.leanSource === 'affiliation' ? 'party affiliation' : 'wording of quotes'})`;
+    voicesTrackEl.appendChild(markerEl);
+  });
+
+  voices.sides.forEach(side => {
+    if (side.quoteCount === 0) return;
+    const segmentEl = document.createElement('div');
+    segmentEl.className = `voices-segment ${side.id}`;
+    segmentEl.style.width = `${(side.quoteCount / voices.quoteCount) * 100}%`;
+    segmentEl.title = `${side.name}: ${side.quoteCount} quote${side.quoteCount === 1 ? '' : 's'}`;
+    voicesBalanceEl.appendChild(segmentEl);
+  });
+
+  const quotedSides = voices.sides.filter(side => side.quoteCount > 0);
+  renderDetailList(voicesSidesEl, quotedSides, 'No quoted speakers found.', side => ({
+    text: `${side.name}: ${side.quoteCount} quote${side.quoteCount === 1 ? '' : 's'} from ${side.speakers.join(', ')}`,
+    note: side.emotionalCharge ? `Emotional charge of their quotes: ${side.emotionalCharge.label} (${side.emotionalCharge.score.toFixed(2)})` : ''
+  }));
+  quotedSides.forEach((side, i) => voicesSidesEl.children[i].classList.add('voices-side', side.id));
+}
+
+/**
+ * Shows what leaves the browser: nothing when the privacy settings block the page, otherwise
+ * the redactions made and a preview of the text sent to the AI provider
+ */
+function updateTransmission(transmission, url) {
+  transmissionRedactionsEl.innerHTML = '';
+  if (!transmission) {
+    transmissionSummaryEl.textContent = 'No privacy details for this analysis.';
+    transmissionDetailsEl.style.display = 'none';
+    return;
+  }
+
+  if (transmission.blocked) {
+    transmissionSummaryEl.textContent = transmission.blocked;
+    transmissionDetailsEl.style.display = 'none';
+    return;
+  }
+
+  const total = transmission.redactions.reduce((sum, entry) => sum + entry.count, 0);
+  transmissionSummaryEl.textContent = total > 0
+    ? `${total} personal detail${total === 1 ? ' was' : 's were'} redacted before sending.`
+    : 'Nothing needed redacting. The text below is sent as shown.';
+  transmission.redactions.forEach(entry => {
+    const itemEl = document.createElement('li');
+    const labelEl = document.createElement('span');
+    labelEl.textContent = entry.label;
+    const countEl = document.createElement('span');
+    countEl.textContent = entry.count.toLocaleString();
+    itemEl.appendChild(labelEl);
+    itemEl.appendChild(countEl);
+    transmissionRedactionsEl.appendChild(itemEl);
+  });
+
+  if (typeof transmission.text === 'string') {
+    transmissionPreviewEl.textContent = `${transmission.title}\n\n${transmission.text}`;
+    transmissionPreviewUrl = url;
+  } else if (transmissionPreviewUrl !== url) {
+    transmissionPreviewEl.textContent = 'The preview is only kept while an analysis runs. Clear the cache to see it again.';
+  }
+  transmissionDetailsEl.style.display = 'block';
 }
 
 /**
@@ -137,23 +483,558 @@ function updateEmotionalVisualization(emotionalCharge) {
  */
 function updateMetadata(metadata) {
   articleTitleEl.textContent = metadata.title || 'Untitled Article';
-  
-  if (metadata.author) {
-    articleAuthorEl.textContent = `By ${metadata.author}`;
-    articleAuthorEl.style.display = 'inline';
+  currentArticleType = metadata.articleType || null;
+
+  setMetaItem(articleTypeEl, ARTICLE_TYPE_NAMES[currentArticleType] || '');
+  articleTypeEl.className = `meta-item article-type ${currentArticleType || ''}`;
+  articleTypeEl.title = metadata.articleTypeSource === 'default' ? 'No label found on the page; treated as news' : '';
+
+  const authors = metadata.authors || [];
+  setMetaItem(articleAuthorEl, authors.length > 0 ? `By ${authors.join(', ')}` : '');
+  setMetaItem(articlePublisherEl, metadata.publisher || '');
+  articleDomainEl.textContent = metadata.domain || '';
+  setMetaItem(articlePaywallEl, describePaywall(metadata.paywall));
+
+  const details = [];
+  if (metadata.section) details.push(`Section: ${metadata.section}`);
+  if (metadata.datePublished) details.push(`Published ${formatArticleDate(metadata.datePublished)}`);
+  if (metadata.dateModified && metadata.dateModified !== metadata.datePublished) {
+    details.push(`Updated ${formatArticleDate(metadata.dateModified)}`);
+  }
+  articleDetailsEl.textContent = details.join(' · ');
+  articleDetailsEl.style.display = details.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Shows a meta item with the text, or hides it when the text is empty
+ */
+function setMetaItem(el, text) {
+  el.textContent = text;
+  el.style.display = text ? 'inline' : 'none';
+}
+
+/**
+ * Formats an ISO date from the page's metadata, keeping the raw value when it doesn't parse
+ */
+function formatArticleDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? value
+    : date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Describes the page's paywall flags, or returns an empty string for free or unknown pages
+ */
+function describePaywall(paywall) {
+  if (!paywall) return '';
+  if (paywall.contentTier === 'metered') return 'Metered paywall';
+  if (paywall.isAccessibleForFree === false || paywall.contentTier === 'locked') return 'Paywalled';
+  if (paywall.restrictedSelectors && paywall.restrictedSelectors.length > 0) return 'Partly paywalled';
+  return '';
+}
+
+/**
+ * Shows what the outlet database knows about the article's source
+ */
+function updateOutletInfo(outlet) {
+  if (!outlet) {
+    articleOutletEl.style.display = 'none';
+    return;
+  }
+
+  const parts = [outlet.name];
+  if (outlet.ownership) parts.push(`Owned by ${outlet.ownership}`);
+  if (outlet.country) parts.push(outlet.country);
+  if (outlet.factualRating) parts.push(`Factual reporting: ${outlet.factualRating.replace(/-/g, ' ')}`);
+  if (outlet.source === 'override') parts.push('Your override');
+
+  articleOutletEl.textContent = parts.join(' · ');
+  articleOutletEl.style.display = 'block';
+}
+
+/**
+ * Shows how many tokens this article's analysis used
+ */
+function updateArticleUsage(usage) {
+  if (usage && usage.totalTokens > 0) {
+    articleUsageEl.textContent = `${usage.totalTokens.toLocaleString()} tokens`;
+    articleUsageEl.style.display = 'inline';
   } else {
-    articleAuthorEl.style.display = 'none';
+    articleUsageEl.style.display = 'none';
   }
-  
-  articleDomainEl.textContent = metadata.domain || '';
+}
+
+/**
+ * Describes which article sections fed a part of the output
+ * Returns an empty string for single-section articles
+ */
+function describeSections(sectionNumbers, provenance) {
+  if (!provenance || provenance.sections.length <= 1 || !sectionNumbers || sectionNumbers.length === 0) {
+    return '';
+  }
+  const label = sectionNumbers.length === 1 ? 'section' : 'sections';
+  return `Based on ${label} ${sectionNumbers.join(', ')} of ${provenance.sections.length}`;
+}
+
+/**
+ * Builds a tooltip showing the opening words of each referenced section
+ */
+function describeSectionPreviews(sectionNumbers, provenance) {
+  if (!provenance || !sectionNumbers) return '';
+  return sectionNumbers
+    .map(n => provenance.sections.find(section => section.index === n))
+    .filter(Boolean)
+    .map(section => `Section ${section.index}: "${section.preview}..."`)
+    .join('\n');
 }
 
 /**
  * Updates the summaries
  */
 function updateSummaries(analysis) {
+  const provenance = analysis.provenance;
+
   neutralSummaryEl.textContent = analysis.neutralSummary || 'No summary available.';
   opposingViewpointEl.textContent = analysis.opposingViewpoint || 'No opposing viewpoint available.';
+
+  neutralSummarySourcesEl.textContent = describeSections(provenance?.neutralSummary, provenance);
+  neutralSummarySourcesEl.title = describeSectionPreviews(provenance?.neutralSummary, provenance);
+  opposingViewpointSourcesEl.textContent = describeSections(provenance?.opposingViewpoint, provenance);
+  opposingViewpointSourcesEl.title = describeSectionPreviews(provenance?.opposingViewpoint, provenance);
+}
+
+/**
+ * Renders a list of items into a <ul>, with an optional muted note per item
+ */
+function renderDetailList(listEl, items, emptyMessage, toParts) {
+  listEl.innerHTML = '';
+
+  if (!items || items.length === 0) {
+    const emptyEl = document.createElement('li');
+    emptyEl.textContent = emptyMessage;
+    listEl.appendChild(emptyEl);
+    return;
+  }
+
+  items.forEach((item, i) => {
+    const { text, note } = toParts(item, i);
+    const itemEl = document.createElement('li');
+    itemEl.textContent = text;
+
+    if (note) {
+      const noteEl = document.createElement('span');
+      noteEl.className = 'detail-note';
+      noteEl.textContent = note;
+      itemEl.appendChild(noteEl);
+    }
+
+    listEl.appendChild(itemEl);
+  });
+}
+
+/**
+ * Updates the key claims, loaded language and bias rationale from the structured analysis
+ */
+function updateStructuredDetails(analysis) {
+  const provenance = analysis.provenance;
+  const sectionNote = (field, i) => {
+    const section = provenance?.[field]?.[i];
+    return section && provenance.sections.length > 1 ? `Section ${section}` : '';
+  };
+
+  updateClaimChecklist(analysis.keyClaims, sectionNote);
+
+  renderDetailList(loadedLanguageEl, analysis.loadedLanguage, 'No loaded language detected.',
+    (entry, i) => ({
+      text: `"${entry.phrase}"`,
+      note: [entry.reason, sectionNote('loadedLanguage', i)].filter(Boolean).join(' · ')
+    }));
+
+  if (analysis.biasRationale) {
+    biasRationaleEl.textContent = analysis.biasRationale;
+    biasRationaleEl.style.display = 'block';
+  } else {
+    biasRationaleEl.style.display = 'none';
+  }
+}
+
+/**
+ * Lists the key claims with how each one is sourced
+ * Clicking a claim highlights the claim sentences on the page and scrolls to it
+ */
+function updateClaimChecklist(claims, sectionNote) {
+  currentClaims = (claims || []).filter(claim => claim && typeof claim === 'object');
+
+  renderDetailList(keyClaimsEl, currentClaims, 'No key claims available.', (claim, i) => ({
+    text: claim.claim,
+    note: [
+      claim.source ? `${CLAIM_SOURCING_NAMES[claim.status]}: ${claim.source}` : CLAIM_SOURCING_NAMES[claim.status],
+      claim.sentence ? null : 'sentence not found in the article',
+      sectionNote('keyClaims', i)
+    ].filter(Boolean).join(' · ')
+  }));
+
+  currentClaims.forEach((claim, i) => {
+    const itemEl = keyClaimsEl.children[i];
+    itemEl.classList.add('claim-item', claim.status);
+
+    const statusEl = document.createElement('span');
+    statusEl.className = `claim-status ${claim.status}`;
+    statusEl.textContent = claim.status === 'none' ? '✗' : claim.status === 'anonymous' ? '?' : '✓';
+    statusEl.title = CLAIM_SOURCING_NAMES[claim.status];
+    itemEl.insertBefore(statusEl, itemEl.firstChild);
+
+    if (claim.link) {
+      const linkEl = document.createElement('a');
+      linkEl.className = 'claim-link';
+      linkEl.href = claim.link;
+      linkEl.target = '_blank';
+      linkEl.rel = 'noopener noreferrer';
+      linkEl.textContent = 'Open linked source';
+      linkEl.addEventListener('click', event => event.stopPropagation());
+      itemEl.appendChild(linkEl);
+    }
+
+    if (claim.sentence) {
+      itemEl.dataset.highlightId = claim.id;
+      itemEl.addEventListener('click', () => jumpToClaim(claim.id));
+    } else {
+      itemEl.classList.add('not-found');
+    }
+  });
+
+  const sourced = currentClaims.filter(claim => claim.status === 'named' || claim.status === 'link').length;
+  const anonymous = currentClaims.filter(claim => claim.status === 'anonymous').length;
+  claimsSummaryEl.textContent = currentClaims.length > 0
+    ? `${sourced} of ${currentClaims.length} claims cite a named or linked source, ${anonymous} an anonymous one.`
+    : '';
+
+  if (pageHighlightSet === 'claims' && !currentClaims.some(claim => claim.sentence)) {
+    pageHighlightSet = null;
+  }
+}
+
+/**
+ * Highlights the claim sentences on the page and scrolls to one of them
+ */
+async function jumpToClaim(id) {
+  if (pageHighlightSet !== 'claims') {
+    await setPageHighlightSet('claims');
+  }
+  sendToActiveTab({ type: 'SCROLL_TO_HIGHLIGHT', id: id });
+}
+
+/**
+ * Shows who the article cites by category, what its links point to, and any sourcing imbalance
+ */
+function updateSourcingProfile(sourcing) {
+  sourcingSignalsEl.innerHTML = '';
+  sourcingCategoriesEl.innerHTML = '';
+  sourcingLinksEl.innerHTML = '';
+
+  if (!sourcing) {
+    sourcingSummaryEl.textContent = 'No sourcing profile available.';
+    sourcingCategoriesEl.style.display = 'none';
+    return;
+  }
+
+  sourcingSummaryEl.textContent = `${sourcing.sourcedSentences} of ${sourcing.sentenceCount} sentences cite a source.`;
+
+  sourcing.signals.forEach(signal => {
+    const signalEl = document.createElement('li');
+    signalEl.textContent = signal;
+    sourcingSignalsEl.appendChild(signalEl);
+  });
+
+  sourcing.categories.forEach(category => {
+    const itemEl = document.createElement('li');
+    itemEl.className = category.count > 0 ? 'bias-vector' : 'bias-vector unavailable';
+
+    const headerEl = document.createElement('div');
+    headerEl.className = 'bias-vector-header';
+    const nameEl = document.createElement('span');
+    nameEl.textContent = category.name;
+    const countEl = document.createElement('span');
+    countEl.className = 'bias-vector-score';
+    countEl.textContent = category.count > 0
+      ? `${category.count} · ${Math.round(category.share * 100)}%`
+      : 'None';
+    headerEl.appendChild(nameEl);
+    headerEl.appendChild(countEl);
+    itemEl.appendChild(headerEl);
+
+    if (category.count > 0) {
+      const shareEl = document.createElement('div');
+      shareEl.className = 'bias-vector-share';
+      const fillEl = document.createElement('div');
+      fillEl.className = `bias-vector-share-fill sourcing-${category.id}`;
+      fillEl.style.width = `${Math.round(category.share * 100)}%`;
+      shareEl.appendChild(fillEl);
+      itemEl.appendChild(shareEl);
+
+      const detailEl = document.createElement('span');
+      detailEl.className = 'detail-note';
+      detailEl.textContent = category.sources.join(' · ');
+      itemEl.appendChild(detailEl);
+    }
+
+    sourcingCategoriesEl.appendChild(itemEl);
+  });
+  sourcingCategoriesEl.style.display = 'flex';
+
+  if (sourcing.links.length === 0) {
+    const emptyEl = document.createElement('li');
+    emptyEl.textContent = 'No outbound links found.';
+    sourcingLinksEl.appendChild(emptyEl);
+  }
+  sourcing.links.forEach(group => {
+    const itemEl = document.createElement('li');
+    const nameEl = document.createElement('span');
+    nameEl.textContent = group.name;
+    nameEl.title = group.domains
+      .map(entry => `${entry.outlet || entry.domain} (${entry.count})`)
+      .join(', ');
+    const countEl = document.createElement('span');
+    countEl.textContent = `${group.count} link${group.count === 1 ? '' : 's'} · ${group.domains.slice(0, 3).map(entry => entry.outlet || entry.domain).join(', ')}`;
+    itemEl.appendChild(nameEl);
+    itemEl.appendChild(countEl);
+    sourcingLinksEl.appendChild(itemEl);
+  });
+}
+
+/**
+ * Sends a message to the content script in the active tab
+ * Resolves to null when the page can't be reached
+ */
+async function sendToActiveTab(message) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return null;
+
+  return new Promise(resolve => {
+    chrome.tabs.sendMessage(tab.id, message, response => {
+      resolve(chrome.runtime.lastError ? null : response);
+    });
+  });
+}
+
+/**
+ * Lists the sentences that drove the emotional and loaded-language scores
+ * Clicking one scrolls the page to it
+ */
+function updateHighlights(highlights) {
+  currentHighlights = highlights || [];
+
+  renderDetailList(highlightsListEl, currentHighlights, 'No loaded or emotionally charged sentences found.',
+    highlight => ({
+      text: highlight.text.length > 160 ? `${highlight.text.slice(0, 157)}...` : highlight.text,
+      note: highlight.reasons.map(reason => `${reason.label} (${reason.detail})`).join(' · ')
+    }));
+
+  currentHighlights.forEach((highlight, i) => {
+    const itemEl = highlightsListEl.children[i];
+    itemEl.classList.add(highlight.category);
+    itemEl.dataset.highlightId = highlight.id;
+    itemEl.addEventListener('click', () => jumpToHighlight(highlight.id));
+  });
+
+  if (highlightsToggleEl.checked && !pageHighlightSet) {
+    applyPageHighlights();
+  }
+}
+
+/**
+ * Shows how the article's sentences split between fact, opinion, quote and speculation
+ * Picking a label lists its sentences and highlights them on the page instead of the
+ * loaded/emotional highlights
+ */
+function updateSentenceLabels(sentenceLabels) {
+  // updateHighlights leaves the page alone while another set is shown, so refresh it here
+  const filtered = Boolean(pageHighlightSet);
+  const labelFiltered = Boolean(SENTENCE_LABEL_NAMES[pageHighlightSet]);
+  currentSentenceLabels = sentenceLabels && sentenceLabels.sentences.length > 0 ? sentenceLabels : null;
+  labelDistributionEl.innerHTML = '';
+  labelFiltersEl.innerHTML = '';
+  labelSourceEl.textContent = '';
+
+  if (!currentSentenceLabels) {
+    if (labelFiltered) pageHighlightSet = null;
+    renderDetailList(labelSentencesEl, [], 'No sentences to label.', () => ({ text: '' }));
+    if (filtered) applyPageHighlights();
+    return;
+  }
+
+  const total = currentSentenceLabels.sentences.length;
+  if (labelFiltered && !currentSentenceLabels.counts[pageHighlightSet]) {
+    pageHighlightSet = null;
+  }
+
+  Object.keys(SENTENCE_LABEL_NAMES).forEach(label => {
+    const count = currentSentenceLabels.counts[label] || 0;
+    if (count > 0) {
+      const segmentEl = document.createElement('div');
+      segmentEl.className = `label-segment ${label}`;
+      segmentEl.style.width = `${(count / total) * 100}%`;
+      segmentEl.title = `${SENTENCE_LABEL_NAMES[label]}: ${count}`;
+      labelDistributionEl.appendChild(segmentEl);
+    }
+  });
+
+  const filters = [{ label: null, name: 'All', count: total }].concat(
+    Object.keys(SENTENCE_LABEL_NAMES).map(label => ({
+      label: label,
+      name: SENTENCE_LABEL_NAMES[label],
+      count: currentSentenceLabels.counts[label] || 0
+    }))
+  );
+
+  filters.forEach(filter => {
+    const buttonEl = document.createElement('button');
+    buttonEl.className = 'label-filter';
+    buttonEl.classList.toggle('active', filter.label === pageHighlightSet);
+    buttonEl.disabled = filter.count === 0;
+
+    if (filter.label) {
+      const swatchEl = document.createElement('span');
+      swatchEl.className = `label-swatch ${filter.label}`;
+      buttonEl.appendChild(swatchEl);
+    }
+    buttonEl.appendChild(document.createTextNode(`${filter.name} (${filter.count})`));
+    buttonEl.addEventListener('click', () => setPageHighlightSet(filter.label));
+    labelFiltersEl.appendChild(buttonEl);
+  });
+
+  const refined = currentSentenceLabels.sentences.filter(sentence => sentence.source === 'llm').length;
+  labelSourceEl.textContent = currentSentenceLabels.source === 'rules+llm'
+    ? `Rule-based labels, ${refined} corrected by AI.`
+    : 'Rule-based labels. Pick a label to highlight its sentences on the page.';
+
+  renderLabelSentences();
+  if (filtered) applyPageHighlights();
+}
+
+/**
+ * Lists the sentences with the selected label; clicking one scrolls the page to it
+ */
+function renderLabelSentences() {
+  if (!SENTENCE_LABEL_NAMES[pageHighlightSet]) {
+    labelSentencesEl.innerHTML = '';
+    return;
+  }
+
+  const sentences = currentSentenceLabels.sentences.filter(sentence => sentence.label === pageHighlightSet);
+  renderDetailList(labelSentencesEl, sentences, 'No sentences with this label.', sentence => ({
+    text: sentence.text.length > 160 ? `${sentence.text.slice(0, 157)}...` : sentence.text,
+    note: sentence.source === 'llm' ? 'labelled by AI' : sentence.cue ? `cue: "${sentence.cue}"` : null
+  }));
+
+  sentences.forEach((sentence, i) => {
+    const itemEl = labelSentencesEl.children[i];
+    itemEl.classList.add(sentence.label);
+    itemEl.dataset.highlightId = sentence.id;
+    itemEl.addEventListener('click', () => sendToActiveTab({ type: 'SCROLL_TO_HIGHLIGHT', id: sentence.id }));
+  });
+}
+
+/**
+ * Selects what the page highlights show (null, a sentence label or 'claims') and updates the page to match
+ */
+function setPageHighlightSet(set) {
+  pageHighlightSet = set;
+  labelFiltersEl.querySelectorAll('.label-filter').forEach((buttonEl, i) => {
+    buttonEl.classList.toggle('active', i === 0 ? set === null : Object.keys(SENTENCE_LABEL_NAMES)[i - 1] === set);
+  });
+  renderLabelSentences();
+  return applyPageHighlights();
+}
+
+/**
+ * Highlights to show in the page: the claim sentences or the sentences with the selected label,
+ * otherwise the loaded/emotional highlights when the toggle is on
+ */
+function getPageHighlights() {
+  if (pageHighlightSet === 'claims') {
+    return currentClaims
+      .filter(claim => claim.sentence)
+      .map(claim => ({
+        id: claim.id,
+        text: claim.sentence,
+        category: 'claim',
+        reasons: [{
+          type: 'claim',
+          label: CLAIM_SOURCING_NAMES[claim.status],
+          detail: claim.source || claim.claim
+        }]
+      }));
+  }
+  if (SENTENCE_LABEL_NAMES[pageHighlightSet] && currentSentenceLabels) {
+    return currentSentenceLabels.sentences
+      .filter(sentence => sentence.label === pageHighlightSet)
+      .map(sentence => ({
+        id: sentence.id,
+        text: sentence.text,
+        category: sentence.label,
+        reasons: [{
+          type: sentence.label,
+          label: SENTENCE_LABEL_NAMES[sentence.label],
+          detail: sentence.source === 'llm' ? 'labelled by AI' : sentence.cue ? `"${sentence.cue}"` : 'no opinion or hedge cues'
+        }]
+      }));
+  }
+  return highlightsToggleEl.checked ? currentHighlights : [];
+}
+
+/**
+ * Shows or clears the highlights in the page to match the toggle, label filter or claim checklist
+ * Sentences the page no longer contains are greyed out in the lists
+ */
+async function applyPageHighlights() {
+  const highlights = getPageHighlights();
+  const showing = highlights.length > 0;
+  const response = await sendToActiveTab(showing
+    ? { type: 'SHOW_HIGHLIGHTS', highlights: highlights }
+    : { type: 'CLEAR_HIGHLIGHTS' });
+
+  const found = showing && response && response.found ? response.found : null;
+  [highlightsListEl, labelSentencesEl, keyClaimsEl].forEach(listEl => {
+    listEl.querySelectorAll('li[data-highlight-id]').forEach(itemEl => {
+      itemEl.classList.toggle('not-found', Boolean(found) && !found.includes(itemEl.dataset.highlightId));
+    });
+  });
+}
+
+/**
+ * Scrolls the page to one highlight, turning highlights on first if needed
+ */
+async function jumpToHighlight(id) {
+  if (!highlightsToggleEl.checked || pageHighlightSet) {
+    highlightsToggleEl.checked = true;
+    await chrome.storage.local.set({ showHighlights: true });
+    await setPageHighlightSet(null);
+  }
+  sendToActiveTab({ type: 'SCROLL_TO_HIGHLIGHT', id: id });
+}
+
+/**
+ * Saves the highlight toggle and applies it to the page
+ * Turning it on clears the label filter or claims so the loaded/emotional highlights are shown
+ */
+async function toggleHighlights() {
+  await chrome.storage.local.set({ showHighlights: highlightsToggleEl.checked });
+  if (highlightsToggleEl.checked && pageHighlightSet) {
+    setPageHighlightSet(null);
+  } else {
+    applyPageHighlights();
+  }
+}
+
+/**
+ * Restores the highlight toggle and the AI sentence label setting from storage
+ */
+async function loadHighlightPreference() {
+  const result = await chrome.storage.local.get(['showHighlights', 'llmSentenceLabels']);
+  highlightsToggleEl.checked = Boolean(result.showHighlights);
+  llmSentenceLabelsToggleEl.checked = result.llmSentenceLabels === true;
 }
 
 /**
@@ -163,7 +1044,7 @@ function updateOpposingArticles(articles) {
   opposingArticlesEl.innerHTML = '';
   
   if (!articles || articles.length === 0) {
-    opposingArticlesEl.innerHTML = '<p>No opposing articles found.</p>';
+    opposingArticlesEl.innerHTML = '<p>No articles on this topic turned up from other outlets. More article sources can be turned on in the options.</p>';
     return;
   }
 
@@ -194,6 +1075,19 @@ function updateOpposingArticles(articles) {
     linkEl.appendChild(titleEl);
     linkEl.appendChild(sourceEl);
     articleEl.appendChild(linkEl);
+
+    // Why the recommendation was picked: topic overlap, the outlet's lean and the search provider
+    if (article.reasons && article.reasons.length > 0) {
+      const reasonsEl = document.createElement('ul');
+      reasonsEl.className = 'opposing-article-reasons';
+      article.reasons.forEach(reason => {
+        const reasonEl = document.createElement('li');
+        reasonEl.textContent = reason;
+        reasonsEl.appendChild(reasonEl);
+      });
+      articleEl.appendChild(reasonsEl);
+    }
+
     opposingArticlesEl.appendChild(articleEl);
   });
 }
@@ -205,6 +1099,7 @@ function displayAnalysis(analysis) {
   currentAnalysis = analysis;
   
   updateMetadata(analysis.metadata);
+  updateArticleUsage(analysis.usage);
   
   // Always update bias visualization (will show error if failed)
   if (analysis.bias) {
@@ -217,6 +1112,12 @@ function displayAnalysis(analysis) {
   }
   
   updateSummaries(analysis);
+  updateStructuredDetails(analysis);
+  updateHighlights(analysis.highlights);
+  updateQuotedVoices(analysis.voices);
+  updateSourcingProfile(analysis.sourcing);
+  updateSentenceLabels(analysis.sentenceLabels);
+  updateTransmission(analysis.transmission, analysis.metadata.url);
   
   // Update opposing articles
   if (analysis.opposingArticles) {
@@ -243,8 +1144,10 @@ function displayAnalysis(analysis) {
     errorSection.style.cssText = 'padding: 10px; background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; margin: 10px 0;';
     
     let errorMessage = analysis.error;
-    if (errorMessage.includes('API key')) {
+    if (analysis.errorKind === 'auth') {
         errorMessage = 'Analysis failed. Please check your API key configuration.'
+    } else if (analysis.errorKind === 'rate-limit') {
+        errorMessage = 'The AI provider is rate limiting requests. Local scores are shown; try again in a minute.'
     }
     
     errorSection.innerHTML = `<strong>Analysis Warning:</strong> ${errorMessage}`;
@@ -257,7 +1160,13 @@ function displayAnalysis(analysis) {
   
   loadingEl.style.display = 'none';
   errorEl.style.display = 'none';
+  skippedEl.style.display = 'none';
+  compareViewEl.style.display = 'none';
+  storyViewEl.style.display = 'none';
   contentEl.style.display = 'block';
+
+  loadUsageSummary();
+  updateStoryLink(analysis.metadata.url);
 }
 
 /**
@@ -267,23 +1176,204 @@ function showLoading() {
   loadingEl.style.display = 'block';
   contentEl.style.display = 'none';
   errorEl.style.display = 'none';
+  skippedEl.style.display = 'none';
+  compareViewEl.style.display = 'none';
+  storyViewEl.style.display = 'none';
 }
 
 /**
  * Shows error state
  */
 function showError(message) {
+  clearTimeout(analysisTimeoutId);
+  setAnalysisStatus(null);
   errorMessageEl.textContent = message || 'An error occurred while analyzing the article.';
   loadingEl.style.display = 'none';
   contentEl.style.display = 'none';
+  skippedEl.style.display = 'none';
+  compareViewEl.style.display = 'none';
+  storyViewEl.style.display = 'none';
   errorEl.style.display = 'block';
 }
 
 /**
- * Requests article analysis from the current tab
+ * Shows why the page wasn't analyzed automatically, with a button to analyze it anyway
  */
-async function requestAnalysis() {
-  showLoading();
+function showSkipped(reason) {
+  clearTimeout(analysisTimeoutId);
+  setAnalysisStatus(null);
+  skippedMessageEl.textContent = reason || 'This page was not analyzed automatically.';
+  loadingEl.style.display = 'none';
+  contentEl.style.display = 'none';
+  errorEl.style.display = 'none';
+  compareViewEl.style.display = 'none';
+  storyViewEl.style.display = 'none';
+  skippedEl.style.display = 'block';
+}
+
+/**
+ * Compares two URLs the same way the background cache keys them (origin + path)
+ */
+function isSameArticle(urlA, urlB) {
+  try {
+    const a = new URL(urlA);
+    const b = new URL(urlB);
+    return a.origin === b.origin && a.pathname === b.pathname;
+  } catch (e) {
+    return urlA === urlB;
+  }
+}
+
+/**
+ * Shows or hides the progress line above partial results
+ * Queue and retry notices are appended to the current stage
+ */
+function setAnalysisStatus(message) {
+  stageMessage = message;
+  renderAnalysisStatus();
+}
+
+function renderAnalysisStatus() {
+  if (stageMessage) {
+    analysisStatusTextEl.textContent = queueMessage ? `${stageMessage} ${queueMessage}` : stageMessage;
+    analysisStatusEl.style.display = 'flex';
+  } else {
+    analysisStatusEl.style.display = 'none';
+  }
+  loadingMessageEl.textContent = queueMessage ? `Analyzing article... ${queueMessage}` : 'Analyzing article...';
+}
+
+/**
+ * Describes the background request queue: waiting requests and pending retries
+ */
+function describeQueueStatus(status) {
+  if (status.retrying && status.retrying.length > 0) {
+    const retry = status.retrying[0];
+    const seconds = Math.max(1, Math.round(retry.delayMs / 1000));
+    const reason = retry.status === 429 ? 'Rate limited' : 'Request failed';
+    return `(${reason}, retrying in ${seconds}s - attempt ${retry.attempt} of ${retry.maxAttempts})`;
+  }
+  if (status.queued > 0) {
+    return `(${status.queued} request${status.queued === 1 ? '' : 's'} queued)`;
+  }
+  return null;
+}
+
+/**
+ * Restarts the timeout that fires if the background goes quiet
+ */
+function resetAnalysisTimeout() {
+  clearTimeout(analysisTimeoutId);
+  analysisTimeoutId = setTimeout(() => {
+    showError('Analysis is taking longer than expected. Please try again.');
+  }, ANALYSIS_TIMEOUT_MS);
+}
+
+/**
+ * Shows the fast local scores while the AI stages are still running
+ */
+function displayPartialAnalysis(event) {
+  updateMetadata(event.metadata);
+  articleStoryEl.style.display = 'none';
+  updateBiasVisualization(event.bias);
+  updateEmotionalVisualization(event.emotionalCharge);
+  updateHighlights(event.highlights);
+  updateQuotedVoices(event.voices);
+  updateSourcingProfile(event.sourcing);
+  updateSentenceLabels(event.sentenceLabels);
+  updateTransmission(event.transmission, event.metadata.url);
+
+  neutralSummaryEl.textContent = 'Generating summary...';
+  opposingViewpointEl.textContent = 'Generating opposing viewpoint...';
+  neutralSummarySourcesEl.textContent = '';
+  opposingViewpointSourcesEl.textContent = '';
+
+  loadingEl.style.display = 'none';
+  errorEl.style.display = 'none';
+  skippedEl.style.display = 'none';
+  compareViewEl.style.display = 'none';
+  storyViewEl.style.display = 'none';
+  contentEl.style.display = 'block';
+}
+
+/**
+ * Handles one event streamed from the background over the analysis port
+ */
+function handleAnalysisEvent(event) {
+  // Queue status is global, not tied to one article
+  if (event.type === 'queue') {
+    queueMessage = describeQueueStatus(event);
+    renderAnalysisStatus();
+    return;
+  }
+
+  if (!watchedUrl || !isSameArticle(event.url, watchedUrl)) {
+    return;
+  }
+
+  // Page and selection analyses of the same URL stream side by side; show only the watched one
+  if ((event.selectionId || null) !== watchedSelectionId) {
+    return;
+  }
+
+  if (event.type === 'complete') {
+    clearTimeout(analysisTimeoutId);
+    setAnalysisStatus(null);
+    displayAnalysis(event.analysis);
+    return;
+  }
+
+  resetAnalysisTimeout();
+
+  if (event.type === 'local') {
+    displayPartialAnalysis(event);
+    setAnalysisStatus('Checking political leaning...');
+  } else if (event.type === 'stage') {
+    if (event.stage === 'bias') {
+      updateBiasVisualization(event.bias);
+    } else if (event.stage === 'summary') {
+      setAnalysisStatus('Generating summary...');
+    } else if (event.stage === 'sections') {
+      setAnalysisStatus(`Summarizing long article (section ${event.completed} of ${event.total} done)...`);
+    } else if (event.stage === 'labels') {
+      setAnalysisStatus('Checking fact/opinion labels...');
+    } else if (event.stage === 'articles') {
+      setAnalysisStatus('Finding opposing articles...');
+    }
+  } else if (event.type === 'token') {
+    if (event.field === 'neutralSummary') {
+      neutralSummaryEl.textContent = event.text;
+    } else if (event.field === 'opposingViewpoint') {
+      opposingViewpointEl.textContent = event.text;
+    }
+  }
+}
+
+/**
+ * Opens the long-lived port the background streams analysis events over
+ */
+function connectAnalysisPort() {
+  if (analysisPort) return;
+
+  analysisPort = chrome.runtime.connect({ name: 'echoai-analysis' });
+  analysisPort.onMessage.addListener(handleAnalysisEvent);
+  analysisPort.onDisconnect.addListener(() => {
+    // The service worker was stopped; reconnect on the next request
+    analysisPort = null;
+  });
+}
+
+/**
+ * Requests article analysis from the current tab
+ * Results stream back over the analysis port
+ * With options.manual set to false the page's site rules and classifier decide whether it is analyzed;
+ * a skipped page still shows an earlier analysis if one is cached
+ */
+async function requestAnalysis(options = {}) {
+  const manual = options.manual !== false;
+  showLoading();
+  setAnalysisStatus(null);
+  clearTimeout(analysisTimeoutId);
   
   try {
     // Get current tab
@@ -293,8 +1383,12 @@ async function requestAnalysis() {
       throw new Error('No active tab found');
     }
 
+    connectAnalysisPort();
+    watchedUrl = tab.url;
+    updateSelectionBanner(null);
+
     // Send message to content script to extract article
-    chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_ARTICLE' }, (response) => {
+    chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_ARTICLE', manual: manual }, (response) => {
       if (chrome.runtime.lastError) {
         let errorMessage = chrome.runtime.lastError.message;
         if (errorMessage.includes('Receiving end does not exist')) {
@@ -304,34 +1398,12 @@ async function requestAnalysis() {
         return;
       }
 
-      if (response && response.success) {
-        // The content script will send the article data to background
-        // and background will analyze it. We'll wait for the analysis
-        // via the message listener below.
-        // Poll for results (with timeout)
-        let attempts = 0;
-        // THE ONLY CHANGE IS HERE: Increased maxAttempts from 30 to 120
-        const maxAttempts = 120; // 60 seconds max wait (was 15)
-        
-        const checkForAnalysis = setInterval(() => {
-          attempts++;
-          
-          // Try to get cached analysis for this URL
-          chrome.runtime.sendMessage(
-            { type: 'GET_ANALYSIS', url: tab.url },
-            (response) => {
-              if (response && response.success && response.analysis) {
-                clearInterval(checkForAnalysis);
-                displayAnalysis(response.analysis);
-              }
-            }
-          );
-          
-          if (attempts >= maxAttempts) {
-            clearInterval(checkForAnalysis);
-            showError('Analysis is taking longer than expected. Please try again.');
-          }
-        }, 500);
+      if (response && response.success && !response.analyzed) {
+        showCachedOrSkipped(tab.url, response.reason);
+      } else if (response && response.success) {
+        // The content script sends the article to the background, which streams
+        // events back over the port. Time out only if nothing arrives.
+        resetAnalysisTimeout();
       } else {
         showError(response?.error || 'Failed to extract article content');
       }
@@ -342,23 +1414,462 @@ async function requestAnalysis() {
 }
 
 /**
- * Loads saved API key
+ * Shows the selected passage above its analysis, or hides it for page-level analyses
  */
-async function loadApiKey() {
-  chrome.storage.local.get(['geminiApiKey'], (result) => {
-    if (result.geminiApiKey) {
-      apiKeyInputEl.value = result.geminiApiKey;
+function updateSelectionBanner(selection) {
+  watchedSelectionId = selection ? selection.id : null;
+  if (selection) {
+    selectionExcerptEl.textContent = selection.excerpt.length < SELECTION_EXCERPT_DISPLAY_LENGTH
+      ? selection.excerpt
+      : `${selection.excerpt.slice(0, SELECTION_EXCERPT_DISPLAY_LENGTH).trim()}...`;
+  }
+  selectionBannerEl.style.display = selection ? 'block' : 'none';
+  opposingViewpointTitleEl.textContent = selection ? 'Counterpoints to This Passage' : 'Opposing Viewpoint';
+}
+
+/**
+ * Analyzes the passage chosen with the "EchoAI: analyze selection" context menu, if one is waiting
+ * for the active tab; results stream back over the analysis port like a page analysis
+ * Returns whether a selection was found
+ */
+async function requestSelectionAnalysis() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return false;
+
+  const pending = await chrome.runtime.sendMessage({ type: 'GET_PENDING_SELECTION', tabId: tab.id });
+  if (!pending || !pending.selection) return false;
+
+  showLoading();
+  setAnalysisStatus(null);
+  clearTimeout(analysisTimeoutId);
+  connectAnalysisPort();
+  watchedUrl = pending.selection.url;
+  updateSelectionBanner(pending.selection);
+  resetAnalysisTimeout();
+
+  chrome.runtime.sendMessage({ type: 'ANALYZE_SELECTION', tabId: tab.id }, (response) => {
+    if (!response || !response.success) {
+      showError(response?.error || 'Failed to analyze the selection');
+    }
+  });
+  return true;
+}
+
+/**
+ * Analyzes the link or text typed into the input box instead of the active tab
+ * The background fetches and extracts a link (or titles pasted text), then the article goes through
+ * the same analysis as a page and streams back over the analysis port
+ */
+function requestInputAnalysis() {
+  const input = inputTextEl.value.trim();
+  if (!input) return;
+
+  showLoading();
+  setAnalysisStatus(null);
+  clearTimeout(analysisTimeoutId);
+  loadingMessageEl.textContent = /^https?:\/\//i.test(input) ? 'Fetching page...' : 'Analyzing text...';
+  analyzeInputBtn.disabled = true;
+
+  chrome.runtime.sendMessage({ type: 'LOAD_INPUT', input: input }, (response) => {
+    analyzeInputBtn.disabled = false;
+    if (!response || !response.success) {
+      showError(response?.error || 'Could not load that link or text.');
+      return;
+    }
+
+    inputPanelEl.open = false;
+    connectAnalysisPort();
+    watchedUrl = response.article.metadata.url;
+    updateSelectionBanner(null);
+    resetAnalysisTimeout();
+
+    chrome.runtime.sendMessage({ type: 'ANALYZE_ARTICLE', data: response.article }, (result) => {
+      if (!result || !result.success) {
+        showError(result?.error || 'Failed to analyze the article.');
+      }
+    });
+  });
+}
+
+/**
+ * Adds a group of articles to a compare dropdown
+ */
+function appendCompareOptions(selectEl, groupLabel, entries) {
+  if (entries.length === 0) return;
+
+  const groupEl = document.createElement('optgroup');
+  groupEl.label = groupLabel;
+  entries.forEach(entry => {
+    const optionEl = document.createElement('option');
+    optionEl.value = entry.value;
+    optionEl.textContent = entry.label;
+    groupEl.appendChild(optionEl);
+  });
+  selectEl.appendChild(groupEl);
+}
+
+/**
+ * Fills the compare dropdowns with the open tabs (the active one first) and earlier analyses
+ * A and B start on different articles
+ */
+async function loadCompareOptions() {
+  const [tabs, [activeTab], response] = await Promise.all([
+    chrome.tabs.query({}),
+    chrome.tabs.query({ active: true, currentWindow: true }),
+    chrome.runtime.sendMessage({ type: 'LIST_ANALYSES' })
+  ]);
+  const activeTabId = activeTab ? activeTab.id : null;
+  const articleTabs = tabs
+    .filter(tab => /^https?:/.test(tab.url || ''))
+    .sort((a, b) => Number(b.id === activeTabId) - Number(a.id === activeTabId));
+  const analyses = response && response.success ? response.analyses : [];
+
+  [compareASelectEl, compareBSelectEl].forEach((selectEl, i) => {
+    selectEl.innerHTML = '';
+    appendCompareOptions(selectEl, 'Open tabs', articleTabs.map(tab => ({
+      value: `tab:${tab.id}`,
+      label: tab.title || tab.url
+    })));
+    appendCompareOptions(selectEl, 'Analyzed articles', analyses.map(entry => ({
+      value: `history:${entry.url}`,
+      label: entry.domain ? `${entry.title} (${entry.domain})` : entry.title
+    })));
+    if (selectEl.options.length > i) selectEl.selectedIndex = i;
+  });
+  compareBtn.disabled = compareASelectEl.options.length < 2;
+}
+
+/**
+ * Turns a compare dropdown value back into the source the background expects
+ */
+function parseCompareSource(value) {
+  const separator = value.indexOf(':');
+  const type = value.slice(0, separator);
+  const rest = value.slice(separator + 1);
+  return type === 'tab' ? { type: 'tab', tabId: Number(rest) } : { type: 'history', url: rest };
+}
+
+/**
+ * Compares the two articles picked in the compare panel
+ * Tabs that haven't been analyzed yet are analyzed first, so this can take a while
+ */
+function requestComparison() {
+  if (compareASelectEl.value === compareBSelectEl.value) {
+    alert('Pick two different articles to compare.');
+    return;
+  }
+
+  showLoading();
+  setAnalysisStatus(null);
+  clearTimeout(analysisTimeoutId);
+  loadingMessageEl.textContent = 'Comparing articles...';
+  // Streamed page analysis events are ignored while the comparison is shown
+  watchedUrl = null;
+  updateSelectionBanner(null);
+  compareBtn.disabled = true;
+
+  chrome.runtime.sendMessage({
+    type: 'COMPARE_ARTICLES',
+    a: parseCompareSource(compareASelectEl.value),
+    b: parseCompareSource(compareBSelectEl.value)
+  }, (response) => {
+    compareBtn.disabled = false;
+    if (!response || !response.success) {
+      showError(response?.error || 'Could not compare the articles.');
+      return;
+    }
+    comparePanelEl.open = false;
+    displayComparison(response.comparison);
+  });
+}
+
+/**
+ * Places one lettered marker per article on a spectrum track
+ */
+function placeCompareMarkers(trackEl, sides, getScore, toPosition) {
+  trackEl.innerHTML = '';
+  sides.forEach(({ letter, side }) => {
+    const score = getScore(side);
+    if (!score || typeof score.score !== 'number') return;
+
+    const markerEl = document.createElement('div');
+    markerEl.className = 'compare-marker';
+    markerEl.textContent = letter;
+    markerEl.style.left = `${toPosition(score.score)}%`;
+    markerEl.title = `${side.title}: ${score.label} (${score.score.toFixed(2)})`;
+    trackEl.appendChild(markerEl);
+  });
+}
+
+/**
+ * One line with both articles' labels and scores for a spectrum
+ */
+function describeCompareScores(sides, getScore) {
+  return sides.map(({ letter, side }) => {
+    const score = getScore(side);
+    return score && typeof score.score === 'number'
+      ? `${letter}: ${score.label} (${score.score.toFixed(2)})`
+      : `${letter}: no score`;
+  }).join(' · ');
+}
+
+/**
+ * Shows two articles on the same spectrum bars, with the AI framing diff below
+ */
+function displayComparison(comparison) {
+  const sides = [{ letter: 'A', side: comparison.a }, { letter: 'B', side: comparison.b }];
+
+  renderDetailList(compareArticlesEl, sides, '', ({ letter, side }) => ({
+    text: `${letter}: ${side.title}`,
+    note: [side.publisher || side.domain, ARTICLE_TYPE_NAMES[side.articleType]].filter(Boolean).join(' · ')
+  }));
+
+  // Same orientations as the single-article bars: Liberal and Emotional on the left
+  placeCompareMarkers(compareBiasTrackEl, sides, side => side.bias, score => ((1 - score) / 2) * 100);
+  placeCompareMarkers(compareEmotionalTrackEl, sides, side => side.emotionalCharge, score => ((score + 1) / 2) * 100);
+  compareBiasScoresEl.textContent = describeCompareScores(sides, side => side.bias);
+  compareEmotionalScoresEl.textContent = describeCompareScores(sides, side => side.emotionalCharge);
+
+  const diff = comparison.framingDiff;
+  if (diff) {
+    compareFramingSummaryEl.textContent = diff.summary;
+    compareHeadlinesEl.textContent = diff.headlineEmphasis;
+    renderDetailList(compareOnlyAEl, diff.factsOnlyInA, 'Nothing found only in article A.', fact => ({ text: fact }));
+    renderDetailList(compareOnlyBEl, diff.factsOnlyInB, 'Nothing found only in article B.', fact => ({ text: fact }));
+    renderDetailList(compareWordChoicesEl, diff.wordChoices, 'No differing word choices found.', choice => ({
+      text: `${choice.event}: A says "${choice.wordingA}", B says "${choice.wordingB}"`,
+      note: choice.note
+    }));
+    compareFramingDetailsEl.style.display = 'block';
+  } else {
+    compareFramingSummaryEl.textContent = comparison.framingNotice || 'No framing comparison available.';
+    compareFramingDetailsEl.style.display = 'none';
+  }
+
+  loadingEl.style.display = 'none';
+  contentEl.style.display = 'none';
+  errorEl.style.display = 'none';
+  skippedEl.style.display = 'none';
+  storyViewEl.style.display = 'none';
+  compareViewEl.style.display = 'block';
+}
+
+/**
+ * Describes the sides of a story the user hasn't read any coverage from
+ */
+function describeStoryBlindspot(story) {
+  if (story.articles.every(article => article.side === null)) {
+    return 'None of these articles has a political leaning score yet, so their coverage can\'t be placed.';
+  }
+  if (story.unreadSides.length === 0) {
+    return 'You\'ve read coverage of this story from every part of the spectrum.';
+  }
+  const names = story.unreadSides.map(side => STORY_SIDE_NAMES[side]);
+  return `You haven't read any ${names.join(' or ')} coverage of this story yet.`;
+}
+
+/**
+ * Lists the stories found among the analyzed articles; clicking one opens its coverage view
+ */
+function loadStories() {
+  chrome.runtime.sendMessage({ type: 'LIST_STORIES' }, (response) => {
+    const stories = response && response.success ? response.stories : [];
+    renderDetailList(storiesListEl, stories, 'No stories yet: analyze two or more articles about the same event.', story => ({
+      text: story.title,
+      note: `${story.articles.length} articles` +
+        (story.unreadSides.length > 0 && story.unreadSides.length < 3
+          ? ` · none from the ${story.unreadSides.map(side => STORY_SIDE_NAMES[side]).join(' or ')} side`
+          : '')
+    }));
+
+    stories.forEach((story, i) => {
+      const itemEl = storiesListEl.children[i];
+      itemEl.dataset.storyIndex = i;
+      itemEl.addEventListener('click', () => {
+        storiesPanelEl.open = false;
+        displayStory(story);
+      });
+    });
+  });
+}
+
+/**
+ * Shows a link to the story the article belongs to, if other analyzed articles cover the same event
+ */
+function updateStoryLink(url) {
+  currentStory = null;
+  articleStoryEl.style.display = 'none';
+
+  chrome.runtime.sendMessage({ type: 'LIST_STORIES' }, (response) => {
+    if (!response || !response.success) return;
+    const story = response.stories.find(entry => entry.articles.some(article => isSameArticle(article.url, url)));
+    if (!story || !currentAnalysis || !isSameArticle(currentAnalysis.metadata.url, url)) return;
+
+    currentStory = story;
+    const others = story.articles.length - 1;
+    articleStoryEl.textContent = `You've read ${others} other article${others === 1 ? '' : 's'} on this story. See the coverage →`;
+    articleStoryEl.style.display = 'block';
+  });
+}
+
+/**
+ * Plots every article of a story on the political spectrum and points out the sides not read yet
+ */
+function displayStory(story) {
+  // Streamed page analysis events are ignored while the story is shown
+  watchedUrl = null;
+  updateSelectionBanner(null);
+
+  storyTitleEl.textContent = story.title;
+  storyKeywordsEl.textContent = story.keywords.length > 0 ? `Keywords: ${story.keywords.join(', ')}` : '';
+  storyBlindspotEl.textContent = describeStoryBlindspot(story);
+
+  storyTrackEl.innerHTML = '';
+  story.articles.forEach(article => {
+    if (article.lean === null) return;
+    const markerEl = document.createElement('div');
+    markerEl.className = `story-marker ${article.side}`;
+    // Same orientation as the political leaning bar: Liberal on the left
+    markerEl.style.left = `${((1 - article.lean) / 2) * 100}%`;
+    markerEl.title = `${article.outlet}: ${article.title} (${article.lean.toFixed(2)})`;
+    storyTrackEl.appendChild(markerEl);
+  });
+
+  renderDetailList(storyArticlesEl, story.articles, 'No articles.', article => ({
+    text: article.title,
+    note: [
+      article.outlet,
+      ARTICLE_TYPE_NAMES[article.articleType],
+      article.side
+        ? `${STORY_SIDE_NAMES[article.side]} (${article.lean.toFixed(2)}${article.leanSource === 'outlet' ? ', outlet rating' : ''})`
+        : 'No leaning score'
+    ].filter(Boolean).join(' · ')
+  }));
+  story.articles.forEach((article, i) => {
+    const itemEl = storyArticlesEl.children[i];
+    itemEl.classList.add('story-side', article.side || 'unknown');
+    if (/^https?:/.test(article.url)) {
+      itemEl.classList.add('story-article-link');
+      itemEl.addEventListener('click', () => chrome.tabs.create({ url: article.url }));
     }
   });
+
+  clearTimeout(analysisTimeoutId);
+  setAnalysisStatus(null);
+  loadingEl.style.display = 'none';
+  contentEl.style.display = 'none';
+  errorEl.style.display = 'none';
+  skippedEl.style.display = 'none';
+  compareViewEl.style.display = 'none';
+  storyViewEl.style.display = 'block';
+}
+
+/**
+ * Shows the cached analysis of a page that wasn't analyzed this time, or why it was skipped
+ */
+function showCachedOrSkipped(url, reason) {
+  chrome.runtime.sendMessage({ type: 'GET_ANALYSIS', url: url }, (response) => {
+    if (response && response.success && response.analysis) {
+      displayAnalysis(response.analysis);
+    } else {
+      showSkipped(reason);
+    }
+  });
+}
+
+/**
+ * Adds the current tab's site to the allow or deny list
+ */
+async function addCurrentSiteRule(list) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !/^https?:/.test(tab.url || '')) return;
+
+  const hostname = new URL(tab.url).hostname;
+  await addSiteRule(hostname, list);
+  if (list === 'allow') {
+    requestAnalysis();
+  } else {
+    alert(`EchoAI won't analyze ${normalizeSiteEntry(hostname)} automatically any more.`);
+  }
+}
+
+/**
+ * Fills the automatic analysis dropdown and selects the saved mode
+ */
+async function loadAutoAnalysisMode() {
+  Object.entries(AUTO_ANALYSIS_MODES).forEach(([id, label]) => {
+    const optionEl = document.createElement('option');
+    optionEl.value = id;
+    optionEl.textContent = label;
+    autoAnalysisSelectEl.appendChild(optionEl);
+  });
+  autoAnalysisSelectEl.value = (await getAutoAnalysisSettings()).mode;
+}
+
+/**
+ * Saves the automatic analysis mode, keeping the site lists
+ */
+async function saveAutoAnalysisMode() {
+  const settings = await getAutoAnalysisSettings();
+  await saveAutoAnalysisSettings({ ...settings, mode: autoAnalysisSelectEl.value });
 }
 
 /**
- * Saves API key
+ * Fills the provider dropdown from the shared provider definitions
+ */
+function populateProviderOptions() {
+  Object.entries(LLM_PROVIDERS).forEach(([id, provider]) => {
+    const optionEl = document.createElement('option');
+    optionEl.value = id;
+    optionEl.textContent = provider.label;
+    llmProviderSelectEl.appendChild(optionEl);
+  });
+}
+
+/**
+ * Shows the selected provider's defaults as placeholders, and the key saved for it
+ */
+function updateProviderFields() {
+  const provider = getLlmProvider(llmProviderSelectEl.value);
+  llmBaseUrlInputEl.placeholder = provider.defaultBaseUrl;
+  llmModelInputEl.placeholder = provider.defaultModel;
+  apiKeyLabelEl.textContent = provider.requiresApiKey ? 'API Key:' : 'API Key (optional):';
+  apiKeyInputEl.value = savedApiKeys[llmProviderSelectEl.value] || '';
+}
+
+/**
+ * Reads the provider settings currently entered in the form
+ */
+function getProviderFormSettings() {
+  return {
+    provider: llmProviderSelectEl.value,
+    baseUrl: llmBaseUrlInputEl.value.trim(),
+    model: llmModelInputEl.value.trim()
+  };
+}
+
+/**
+ * Loads saved API keys and provider settings
+ */
+async function loadApiKey() {
+  chrome.storage.local.get(['apiKeys', 'llmProvider', 'llmBaseUrl', 'llmModel'], (result) => {
+    savedApiKeys = result.apiKeys || {};
+    llmProviderSelectEl.value = result.llmProvider || DEFAULT_LLM_PROVIDER;
+    llmBaseUrlInputEl.value = result.llmBaseUrl || '';
+    llmModelInputEl.value = result.llmModel || '';
+    updateProviderFields();
+  });
+}
+
+/**
+ * Saves API key and provider settings
+ * A blank key field keeps the key already saved for the provider
  */
 async function saveApiKey() {
   const apiKey = apiKeyInputEl.value.trim();
-  
-  if (!apiKey) {
+  const settings = getProviderFormSettings();
+
+  if (!apiKey && !savedApiKeys[settings.provider] && getLlmProvider(settings.provider).requiresApiKey) {
     alert('Please enter an API key');
     return;
   }
@@ -366,35 +1877,156 @@ async function saveApiKey() {
   saveApiKeyBtn.textContent = 'Saving...';
   saveApiKeyBtn.disabled = true;
 
-  // Test the key first
+  // Test the settings first
   chrome.runtime.sendMessage(
-    { type: 'TEST_API_KEY', apiKey: apiKey },
+    { type: 'TEST_API_KEY', apiKey: apiKey, settings: settings },
     (testResult) => {
       if (testResult && testResult.success) {
-        // If test is successful, then set it
+        // If test is successful, then save the key and provider together
         chrome.runtime.sendMessage(
-          { type: 'SET_API_KEY', apiKey: apiKey },
-          (response) => {
-            saveApiKeyBtn.textContent = 'Save';
-            saveApiKeyBtn.disabled = false;
-            if (response && response.success) {
-              alert('API key saved successfully!');
-              // Retry analysis
-              requestAnalysis();
-            } else {
-              alert('Failed to save API key');
-            }
+          { type: 'SET_LLM_SETTINGS', settings: settings },
+          () => {
+            chrome.runtime.sendMessage(
+              { type: 'SET_API_KEY', provider: settings.provider, apiKey: apiKey },
+              (response) => {
+                saveApiKeyBtn.textContent = 'Save';
+                saveApiKeyBtn.disabled = false;
+                if (response && response.success) {
+                  if (apiKey) {
+                    savedApiKeys[settings.provider] = apiKey;
+                  }
+                  alert('Settings saved successfully!');
+                  // Retry analysis
+                  requestAnalysis();
+                } else {
+                  alert('Failed to save settings');
+                }
+              }
+            );
           }
         );
       } else {
         saveApiKeyBtn.textContent = 'Save';
         saveApiKeyBtn.disabled = false;
-        alert(`API Key Test Failed: ${testResult.error}`);
+        alert(`Connection Test Failed: ${testResult?.error || 'No response'}`);
       }
     }
   );
 }
 
+/**
+ * Loads the chunk budget used for long articles
+ */
+function loadChunkBudget() {
+  chrome.storage.local.get(['chunkBudget'], (result) => {
+    if (result.chunkBudget) {
+      chunkBudgetInputEl.value = result.chunkBudget;
+    }
+  });
+}
+
+/**
+ * Saves the chunk budget (blank restores the default)
+ */
+function saveChunkBudget() {
+  const budget = parseInt(chunkBudgetInputEl.value, 10);
+  if (budget > 0) {
+    chrome.storage.local.set({ chunkBudget: budget });
+  } else {
+    chunkBudgetInputEl.value = '';
+    chrome.storage.local.remove('chunkBudget');
+  }
+}
+
+/**
+ * Formats a token total, with its estimated cost when prices are set
+ */
+function formatUsageTotal(totals) {
+  const tokens = `${totals.totalTokens.toLocaleString()} tokens`;
+  const limit = totals.limit ? ` / ${totals.limit.toLocaleString()}` : '';
+  const cost = totals.cost > 0 ? ` · $${totals.cost.toFixed(4)}` : '';
+  return tokens + limit + cost;
+}
+
+/**
+ * Fills a budget meter; without a limit the bar stays empty
+ */
+function updateUsageMeter(barEl, totals) {
+  const ratio = totals.limit ? Math.min(totals.totalTokens / totals.limit, 1) : 0;
+  barEl.style.width = `${ratio * 100}%`;
+  barEl.classList.toggle('over-budget', ratio >= 1);
+}
+
+/**
+ * Loads the usage dashboard and budget settings from the background
+ */
+function loadUsageSummary() {
+  chrome.runtime.sendMessage({ type: 'GET_USAGE_SUMMARY' }, (response) => {
+    if (!response || !response.success) return;
+    const summary = response.summary;
+
+    usageTodayValueEl.textContent = formatUsageTotal(summary.today);
+    usageMonthValueEl.textContent = formatUsageTotal(summary.month);
+    updateUsageMeter(usageTodayBarEl, summary.today);
+    updateUsageMeter(usageMonthBarEl, summary.month);
+
+    usageTopDomainsEl.innerHTML = '';
+    if (summary.topDomains.length === 0) {
+      const emptyEl = document.createElement('li');
+      emptyEl.textContent = 'No usage recorded yet.';
+      usageTopDomainsEl.appendChild(emptyEl);
+    }
+    summary.topDomains.forEach(entry => {
+      const itemEl = document.createElement('li');
+      const domainEl = document.createElement('span');
+      domainEl.textContent = entry.key;
+      const tokensEl = document.createElement('span');
+      tokensEl.textContent = `${entry.totalTokens.toLocaleString()} tokens`;
+      itemEl.appendChild(domainEl);
+      itemEl.appendChild(tokensEl);
+      usageTopDomainsEl.appendChild(itemEl);
+    });
+
+    const settings = summary.settings;
+    budgetDailyInputEl.value = settings.dailyLimit || '';
+    budgetMonthlyInputEl.value = settings.monthlyLimit || '';
+    priceInputInputEl.value = settings.inputPricePerMillion || '';
+    priceOutputInputEl.value = settings.outputPricePerMillion || '';
+  });
+}
+
+/**
+ * Saves the token budgets and prices
+ */
+function saveBudget() {
+  const budget = {
+    daily: parseInt(budgetDailyInputEl.value, 10) || null,
+    monthly: parseInt(budgetMonthlyInputEl.value, 10) || null,
+    inputPerMillion: parseFloat(priceInputInputEl.value) || 0,
+    outputPerMillion: parseFloat(priceOutputInputEl.value) || 0
+  };
+
+  chrome.runtime.sendMessage({ type: 'SET_TOKEN_BUDGET', budget: budget }, (response) => {
+    if (response && response.success) {
+      alert('Budget saved!');
+      loadUsageSummary();
+    } else {
+      alert('Failed to save budget');
+    }
+  });
+}
+
+/**
+ * Resets the recorded token usage
+ */
+function clearUsage() {
+  if (confirm('Reset all recorded token usage?')) {
+    chrome.runtime.sendMessage({ type: 'CLEAR_USAGE' }, () => {
+      loadUsageSummary();
+    });
+  }
+}
+
 /**
  * Clears cache
  */
@@ -413,28 +2045,60 @@ async function clearCache() {
 }
 
 // Event listeners
+llmProviderSelectEl.addEventListener('change', updateProviderFields);
 saveApiKeyBtn.addEventListener('click', saveApiKey);
+chunkBudgetInputEl.addEventListener('change', saveChunkBudget);
+saveBudgetBtn.addEventListener('click', saveBudget);
+clearUsageBtn.addEventListener('click', clearUsage);
 clearCacheBtn.addEventListener('click', clearCache);
+editPromptsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+highlightsToggleEl.addEventListener('change', toggleHighlights);
+llmSentenceLabelsToggleEl.addEventListener('change', () => {
+  chrome.storage.local.set({ llmSentenceLabels: llmSentenceLabelsToggleEl.checked });
+});
 retryBtn.addEventListener('click', requestAnalysis);
+analyzePageBtn.addEventListener('click', requestAnalysis);
+allowSiteBtn.addEventListener('click', () => addCurrentSiteRule('allow'));
+denySiteBtn.addEventListener('click', () => addCurrentSiteRule('deny'));
+autoAnalysisSelectEl.addEventListener('change', saveAutoAnalysisMode);
+editSiteListsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+analyzeWholePageBtn.addEventListener('click', requestAnalysis);
+analyzeInputBtn.addEventListener('click', requestInputAnalysis);
+comparePanelEl.addEventListener('toggle', () => {
+  if (comparePanelEl.open) loadCompareOptions();
+});
+compareBtn.addEventListener('click', requestComparison);
+closeCompareBtn.addEventListener('click', requestAnalysis);
+storiesPanelEl.addEventListener('toggle', () => {
+  if (storiesPanelEl.open) loadStories();
+});
+articleStoryEl.addEventListener('click', () => {
+  if (currentStory) displayStory(currentStory);
+});
+closeStoryBtn.addEventListener('click', requestAnalysis);
 
-// Listen for messages from background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'UPDATE_SIDEBAR') {
-    if (message.data) {
-      displayAnalysis(message.data);
-    }
+// The background says when a passage picked from the context menu is ready
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'SELECTION_READY') {
+    requestSelectionAnalysis();
   }
 });
 
 // Initialize
+populateProviderOptions();
 loadApiKey();
-requestAnalysis();
+loadChunkBudget();
+loadHighlightPreference();
+loadAutoAnalysisMode();
+requestSelectionAnalysis().then(started => {
+  if (!started) requestAnalysis({ manual: false });
+});
 
 // Auto-refresh when tab changes
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   // Only refresh if the *active* tab is the one that finished loading
   if (changeInfo.status === 'complete' && tab.active) {
     // Small delay to ensure content script is fully injected and page is ready
-    setTimeout(requestAnalysis, 1000);
+    setTimeout(() => requestAnalysis({ manual: false }), 1000);
   }
 });
\ No newline at end of file
@@ -0,0 +1,311 @@
+/**
+ * Schema and validation for the structured article analysis
+ * The LLM returns one JSON object matching ANALYSIS_SCHEMA instead of free-text paragraphs
+ */
+
+const LOADED_LANGUAGE_ITEMS = {
+  type: 'object',
+  properties: {
+    phrase: { type: 'string' },
+    reason: { type: 'string' }
+  },
+  required: ['phrase', 'reason']
+};
+
+// How a claim is sourced in the article: see utils/claimSourcing.js
+const KEY_CLAIM_ITEMS = {
+  type: 'object',
+  properties: {
+    claim: { type: 'string' },
+    quote: { type: 'string' },
+    sourcing: { type: 'string', enum: ['named', 'anonymous', 'link', 'none'] },
+    source: { type: 'string' }
+  },
+  required: ['claim', 'quote', 'sourcing', 'source']
+};
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    neutralSummary: {
+      type: 'string',
+      description: 'Neutral, factual summary of the article in 3-4 sentences'
+    },
+    opposingViewpoint: {
+      type: 'string',
+      description: 'Respectful summary of opposing viewpoints or counterarguments in 3-4 sentences'
+    },
+    keyClaims: {
+      type: 'array',
+      description: 'The main factual claims the article makes, with the sentence stating each and its sourcing',
+      items: KEY_CLAIM_ITEMS
+    },
+    loadedLanguage: {
+      type: 'array',
+      description: 'Loaded or emotionally charged phrases quoted from the article',
+      items: LOADED_LANGUAGE_ITEMS
+    },
+    biasRationale: {
+      type: 'string',
+      description: 'One or two sentences explaining any slant in framing or word choice'
+    }
+  },
+  required: ['neutralSummary', 'opposingViewpoint', 'keyClaims', 'loadedLanguage', 'biasRationale']
+};
+
+/**
+ * Map step of long-article analysis: one result per article section
+ */
+const CHUNK_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Neutral, factual summary of this section in 2-3 sentences'
+    },
+    keyClaims: {
+      type: 'array',
+      description: 'The main factual claims made in this section, with the sentence stating each and its sourcing',
+      items: KEY_CLAIM_ITEMS
+    },
+    loadedLanguage: {
+      type: 'array',
+      description: 'Loaded or emotionally charged phrases quoted from this section',
+      items: LOADED_LANGUAGE_ITEMS
+    }
+  },
+  required: ['summary', 'keyClaims', 'loadedLanguage']
+};
+
+/**
+ * Reduce step of long-article analysis: combines the section summaries
+ * and reports which sections each part draws on
+ */
+const REDUCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    neutralSummary: ANALYSIS_SCHEMA.properties.neutralSummary,
+    opposingViewpoint: ANALYSIS_SCHEMA.properties.opposingViewpoint,
+    biasRationale: ANALYSIS_SCHEMA.properties.biasRationale,
+    summarySections: {
+      type: 'array',
+      description: 'Section numbers the neutral summary draws on',
+      items: { type: 'integer' }
+    },
+    opposingSections: {
+      type: 'array',
+      description: 'Section numbers the opposing viewpoint responds to',
+      items: { type: 'integer' }
+    }
+  },
+  required: ['neutralSummary', 'opposingViewpoint', 'biasRationale', 'summarySections', 'opposingSections']
+};
+
+/**
+ * Optional AI pass over the rule-based sentence labels (see labelSentences in utils/biasHeuristics.js)
+ * Sentences are numbered from 1; only sentences whose label should change need to be listed
+ */
+const SENTENCE_LABELS_SCHEMA = {
+  type: 'object',
+  properties: {
+    labels: {
+      type: 'array',
+      description: 'Corrected labels for the numbered sentences',
+      items: {
+        type: 'object',
+        properties: {
+          sentence: { type: 'integer' },
+          label: { type: 'string', enum: ['fact', 'opinion', 'quote', 'speculation'] }
+        },
+        required: ['sentence', 'label']
+      }
+    }
+  },
+  required: ['labels']
+};
+
+/**
+ * Framing diff between two articles on the same story (see utils/articleComparison.js)
+ * "A" and "B" are the articles in the order the user picked them
+ */
+const FRAMING_DIFF_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'One or two sentences on the main difference in how the articles frame the story'
+    },
+    headlineEmphasis: {
+      type: 'string',
+      description: 'How the two headlines differ in what they emphasize'
+    },
+    factsOnlyInA: {
+      type: 'array',
+      description: 'Facts article A reports that article B leaves out',
+      items: { type: 'string' }
+    },
+    factsOnlyInB: {
+      type: 'array',
+      description: 'Facts article B reports that article A leaves out',
+      items: { type: 'string' }
+    },
+    wordChoices: {
+      type: 'array',
+      description: 'The same event or group described in different words',
+      items: {
+        type: 'object',
+        properties: {
+          event: { type: 'string' },
+          wordingA: { type: 'string' },
+          wordingB: { type: 'string' },
+          note: { type: 'string' }
+        },
+        required: ['event', 'wordingA', 'wordingB', 'note']
+      }
+    }
+  },
+  required: ['summary', 'headlineEmphasis', 'factsOnlyInA', 'factsOnlyInB', 'wordChoices']
+};
+
+/**
+ * Parses JSON from a model response
+ * Tolerates markdown code fences and text around the object
+ */
+function parseJsonResponse(text) {
+  const trimmed = (text || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(trimmed.substring(start, end + 1));
+    }
+    throw e;
+  }
+}
+
+/**
+ * Reads the value of a string field out of JSON that is still streaming in
+ * Returns whatever part of the string has arrived so far, or null if the field hasn't started
+ */
+function extractPartialJsonString(buffer, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(buffer);
+  if (!match) return null;
+
+  const escapes = { n: '\n', t: '\t', r: '', b: '', f: '' };
+  let out = '';
+  let i = match.index + match[0].length;
+
+  while (i < buffer.length) {
+    const ch = buffer[i];
+    if (ch === '"') break;
+
+    if (ch === '\\') {
+      const next = buffer[i + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = buffer.substr(i + 2, 4);
+        if (hex.length < 4) break;
+        out += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      out += escapes[next] !== undefined ? escapes[next] : next;
+      i += 2;
+      continue;
+    }
+
+    out += ch;
+    i++;
+  }
+
+  return out;
+}
+
+/**
+ * Checks a value against a schema node and collects error messages
+ */
+function collectSchemaErrors(value, schema, path, errors) {
+  if (schema.type === 'string') {
+    if (typeof value !== 'string') {
+      errors.push(`${path} must be a string`);
+    } else if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    return;
+  }
+
+  if (schema.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      errors.push(`${path} must be an integer`);
+    }
+    return;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return;
+    }
+    value.forEach((item, i) => collectSchemaErrors(item, schema.items, `${path}[${i}]`, errors));
+    return;
+  }
+
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name} is missing`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([name, child]) => {
+      if (value[name] !== undefined) {
+        collectSchemaErrors(value[name], child, `${path}.${name}`, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validates a parsed analysis object
+ * Returns { valid, errors, value } where value only holds the schema fields
+ */
+function validateAnalysisResult(result, schema = ANALYSIS_SCHEMA) {
+  const errors = [];
+  collectSchemaErrors(result, schema, 'result', errors);
+
+  if (errors.length === 0 && typeof result.neutralSummary === 'string' && !result.neutralSummary.trim()) {
+    errors.push('result.neutralSummary is empty');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors: errors, value: null };
+  }
+
+  const value = {};
+  Object.keys(schema.properties).forEach(name => {
+    value[name] = result[name];
+  });
+
+  return { valid: true, errors: [], value: value };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ANALYSIS_SCHEMA,
+    CHUNK_SUMMARY_SCHEMA,
+    REDUCE_SCHEMA,
+    SENTENCE_LABELS_SCHEMA,
+    FRAMING_DIFF_SCHEMA,
+    parseJsonResponse,
+    extractPartialJsonString,
+    validateAnalysisResult
+  };
+}
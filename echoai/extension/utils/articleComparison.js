@@ -0,0 +1,76 @@
+/**
+ * Article comparison
+ * Puts two analyses side by side: their scores for the shared spectrum bars, and the digests the
+ * framing diff prompt compares. The digests are built only from what the AI already produced
+ * (summary, claims, loaded phrases) and the redacted headline, so comparing sends nothing new
+ * from either page.
+ * Uses ARTICLE_TYPES from utils/articleMetadata.js: load it first
+ */
+
+// Caps on what goes into each digest, so two long articles still fit one prompt
+const MAX_DIGEST_CLAIMS = 8;
+const MAX_DIGEST_PHRASES = 10;
+
+/**
+ * The parts of an analysis the comparison view shows for one side
+ */
+function describeComparisonSide(analysis) {
+  const metadata = analysis.metadata || {};
+  return {
+    url: metadata.url,
+    title: metadata.title || 'Untitled',
+    domain: metadata.domain || '',
+    publisher: metadata.publisher || null,
+    articleType: metadata.articleType || null,
+    bias: analysis.bias ? { score: analysis.bias.score, label: analysis.bias.label } : null,
+    emotionalCharge: analysis.emotionalCharge
+      ? { score: analysis.emotionalCharge.score, label: analysis.emotionalCharge.label }
+      : null
+  };
+}
+
+/**
+ * Checks whether an analysis can go into the framing diff
+ * Returns the reason it can't, or null
+ */
+function getFramingDiffBlock(analysis) {
+  if (analysis.transmission && analysis.transmission.blocked) {
+    return 'Your privacy settings keep one of the articles in the browser.';
+  }
+  if (analysis.error || !Array.isArray(analysis.keyClaims)) {
+    return 'One of the articles has no AI analysis to compare. Analyze it again once the AI provider is available.';
+  }
+  return null;
+}
+
+/**
+ * Formats one analysis as the plain-text digest the framing diff prompt compares
+ */
+function formatComparisonDigest(analysis) {
+  const metadata = analysis.metadata || {};
+  const title = analysis.transmission && analysis.transmission.title ? analysis.transmission.title : metadata.title;
+  const outlet = [metadata.domain, metadata.publisher].filter(Boolean).join(', ');
+  const lines = [
+    `Headline: ${title || 'Untitled'}`,
+    `Outlet: ${outlet || 'unknown'}`,
+    `Type: ${ARTICLE_TYPES[metadata.articleType] || 'unlabelled'}`,
+    `Summary: ${analysis.neutralSummary}`,
+    'Claims:'
+  ];
+  (analysis.keyClaims || []).slice(0, MAX_DIGEST_CLAIMS).forEach(claim => {
+    lines.push(`- ${claim.claim}`);
+  });
+  lines.push('Loaded phrases:');
+  (analysis.loadedLanguage || []).slice(0, MAX_DIGEST_PHRASES).forEach(entry => {
+    lines.push(`- "${entry.phrase}"`);
+  });
+  return lines.join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    describeComparisonSide,
+    getFramingDiffBlock,
+    formatComparisonDigest
+  };
+}
@@ -0,0 +1,300 @@
+/**
+ * Article metadata extraction
+ * Reads the page's structured data in order of reliability: schema.org Article/NewsArticle JSON-LD,
+ * then schema.org microdata, then OpenGraph and article:* meta tags, and only then the visible page.
+ * Functions take an optional document so pages parsed elsewhere (e.g. with DOMParser) work too
+ */
+
+const ARTICLE_TYPES = {
+  news: 'News',
+  opinion: 'Opinion',
+  analysis: 'Analysis'
+};
+
+// schema.org types that describe an article, and the subtypes that say what kind
+const ARTICLE_SCHEMA_TYPES = /^(?:Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|BackgroundNewsArticle|ReviewNewsArticle|AskPublicNewsArticle|BlogPosting|LiveBlogPosting|Report|ScholarlyArticle)$/;
+const SCHEMA_ARTICLE_TYPES = {
+  ReportageNewsArticle: 'news',
+  OpinionNewsArticle: 'opinion',
+  ReviewNewsArticle: 'opinion',
+  AnalysisNewsArticle: 'analysis',
+  BackgroundNewsArticle: 'analysis'
+};
+
+// Section names and URL path segments that label a page's type
+const ARTICLE_TYPE_PATTERNS = [
+  { type: 'opinion', pattern: /\b(?:opinions?|op-?eds?|editorials?|commentary|columns?|columnists?|letters|perspectives?|viewpoints?)\b/i },
+  { type: 'analysis', pattern: /\b(?:analysis|news-analysis|explainers?|explained|fact-?checks?)\b/i }
+];
+
+// Longest author name worth keeping; longer strings are usually a byline sentence or UI text
+const MAX_AUTHOR_NAME_LENGTH = 60;
+
+/**
+ * Reads a meta tag's content by property or name
+ */
+function getMetaContent(doc, key) {
+  const el = doc.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+  return el ? (el.getAttribute('content') || '').trim() : '';
+}
+
+/**
+ * Reads every meta tag with the property or name, for tags that may repeat (article:author, article:tag)
+ */
+function getMetaContents(doc, key) {
+  return Array.from(doc.querySelectorAll(`meta[property="${key}"], meta[name="${key}"]`))
+    .map(el => (el.getAttribute('content') || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads schema.org's type field, which may be a string or an array
+ */
+function getSchemaTypes(node) {
+  const type = node && node['@type'];
+  return (Array.isArray(type) ? type : [type]).filter(value => typeof value === 'string');
+}
+
+/**
+ * Parses every JSON-LD block on the page into a flat list of nodes, following @graph and arrays
+ * Blocks that fail to parse are skipped
+ */
+function parseJsonLdNodes(doc) {
+  const nodes = [];
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (error) {
+      // Malformed JSON-LD is common; the other sources still apply
+    }
+  });
+
+  return nodes;
+}
+
+/**
+ * Reads a name from a schema.org value that may be a string, a { name } object,
+ * an { @id } reference into the graph, or an array of these
+ */
+function getSchemaNames(value, nodesById) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map(entry => {
+      if (typeof entry === 'string') return entry;
+      if (!entry || typeof entry !== 'object') return '';
+      if (entry.name) return Array.isArray(entry.name) ? entry.name[0] : entry.name;
+      const referenced = entry['@id'] && nodesById.get(entry['@id']);
+      return referenced && referenced.name ? referenced.name : '';
+    })
+    .map(name => String(name || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads schema.org's isAccessibleForFree, which sites write as a boolean or as "False"/"True"
+ * Returns true, false, or null when it isn't given
+ */
+function parseAccessibleForFree(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && /^(?:true|false)$/i.test(value.trim())) return value.trim().toLowerCase() === 'true';
+  return null;
+}
+
+/**
+ * Reads the article fields from the page's JSON-LD
+ * Returns null when there is no Article-type node
+ */
+function readJsonLdArticle(doc) {
+  const nodes = parseJsonLdNodes(doc);
+  const nodesById = new Map(nodes.filter(node => node['@id']).map(node => [node['@id'], node]));
+  const article = nodes.find(node => getSchemaTypes(node).some(type => ARTICLE_SCHEMA_TYPES.test(type)));
+  if (!article) return null;
+
+  const schemaType = getSchemaTypes(article).find(type => SCHEMA_ARTICLE_TYPES[type]);
+  const section = Array.isArray(article.articleSection) ? article.articleSection[0] : article.articleSection;
+  const parts = Array.isArray(article.hasPart) ? article.hasPart : article.hasPart ? [article.hasPart] : [];
+
+  return {
+    headline: typeof article.headline === 'string' ? article.headline : '',
+    authors: getSchemaNames(article.author, nodesById),
+    publisher: getSchemaNames(article.publisher, nodesById)[0] || '',
+    section: typeof section === 'string' ? section : '',
+    datePublished: typeof article.datePublished === 'string' ? article.datePublished : '',
+    dateModified: typeof article.dateModified === 'string' ? article.dateModified : '',
+    articleType: schemaType ? SCHEMA_ARTICLE_TYPES[schemaType] : null,
+    isAccessibleForFree: parseAccessibleForFree(article.isAccessibleForFree),
+    restrictedSelectors: parts
+      .filter(part => part && parseAccessibleForFree(part.isAccessibleForFree) === false && part.cssSelector)
+      .map(part => part.cssSelector)
+  };
+}
+
+/**
+ * Reads one microdata property under scope: meta content, time datetime, link href or text
+ */
+function getItemPropValue(scope, name) {
+  const el = scope.querySelector(`[itemprop~="${name}"]`);
+  if (!el) return '';
+  return (el.getAttribute('content') || el.getAttribute('datetime') || el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads the article fields from schema.org microdata
+ * Returns null when there is no Article-type itemscope
+ */
+function readMicrodataArticle(doc) {
+  const scope = Array.from(doc.querySelectorAll('[itemscope][itemtype]'))
+    .find(el => (el.getAttribute('itemtype') || '').split(/\s+/).some(type => ARTICLE_SCHEMA_TYPES.test(type.replace(/^https?:\/\/schema\.org\//, ''))));
+  if (!scope) return null;
+
+  const schemaType = (scope.getAttribute('itemtype') || '').replace(/^https?:\/\/schema\.org\//, '');
+  const authors = Array.from(scope.querySelectorAll('[itemprop~="author"]'))
+    .map(el => (el.hasAttribute('itemscope') ? getItemPropValue(el, 'name') : el.getAttribute('content') || el.textContent || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  const publisherEl = scope.querySelector('[itemprop~="publisher"]');
+
+  return {
+    headline: getItemPropValue(scope, 'headline'),
+    authors: authors,
+    publisher: publisherEl
+      ? (publisherEl.hasAttribute('itemscope') ? getItemPropValue(publisherEl, 'name') : (publisherEl.getAttribute('content') || publisherEl.textContent || '').trim())
+      : '',
+    section: getItemPropValue(scope, 'articleSection'),
+    datePublished: getItemPropValue(scope, 'datePublished'),
+    dateModified: getItemPropValue(scope, 'dateModified'),
+    articleType: SCHEMA_ARTICLE_TYPES[schemaType] || null,
+    isAccessibleForFree: parseAccessibleForFree(getItemPropValue(scope, 'isAccessibleForFree')),
+    restrictedSelectors: []
+  };
+}
+
+/**
+ * Keeps author names that look like names: drops profile URLs, strips "By" and splits "A and B"
+ */
+function cleanAuthorNames(names) {
+  const seen = new Set();
+  return names
+    .flatMap(name => String(name).replace(/^\s*by\s+/i, '').split(/\s*(?:,|\band\b|&)\s*/))
+    .map(name => name.replace(/\s+/g, ' ').trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || /^https?:\/\//.test(name) || name.length > MAX_AUTHOR_NAME_LENGTH || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Works out whether the page is news, opinion or analysis
+ * Prefers the schema.org subtype, then the section name, then the URL's directories;
+ * a page with article metadata but no label counts as news
+ * Returns { type, source } where type is null for pages that don't look like articles
+ */
+function detectArticleType(structuredType, section, url, isArticle) {
+  if (structuredType) return { type: structuredType, source: 'schema' };
+
+  const fromSection = section && ARTICLE_TYPE_PATTERNS.find(({ pattern }) => pattern.test(section));
+  if (fromSection) return { type: fromSection.type, source: 'section' };
+
+  let segments = [];
+  try {
+    segments = new URL(url).pathname.split('/').filter(Boolean).map(segment => segment.replace(/_/g, '-'));
+  } catch (error) {
+    segments = [];
+  }
+  // The last segment is the headline slug ("supreme-court-opinion-chevron"), so only the
+  // directories before it are read, and only a directory named for the label as a whole counts
+  const directories = segments.slice(0, -1);
+  const fromPath = ARTICLE_TYPE_PATTERNS.find(({ pattern }) => directories.some(directory => {
+    const match = directory.match(pattern);
+    return match !== null && match[0].length === directory.length;
+  }));
+  if (fromPath) return { type: fromPath.type, source: 'url' };
+
+  return isArticle ? { type: 'news', source: 'default' } : { type: null, source: null };
+}
+
+/**
+ * Extracts article metadata (headline, authors, publisher, section, dates, type and paywall flags)
+ * url is passed in for documents that weren't loaded in a tab
+ */
+function extractArticleMetadata(doc = document, url = window.location.href) {
+  const structured = readJsonLdArticle(doc) || readMicrodataArticle(doc);
+  const fields = structured || {};
+  let domain = '';
+  try {
+    domain = new URL(url).hostname;
+  } catch (error) {
+    domain = '';
+  }
+
+  const h1 = doc.querySelector('h1');
+  const title = fields.headline ||
+    getMetaContent(doc, 'og:title') ||
+    getMetaContent(doc, 'twitter:title') ||
+    (h1 ? h1.textContent.replace(/\s+/g, ' ').trim() : '') ||
+    (doc.title || '').trim();
+
+  // article:author is often a profile URL, which cleanAuthorNames drops
+  let authors = cleanAuthorNames(fields.authors || []);
+  if (authors.length === 0) authors = cleanAuthorNames(getMetaContents(doc, 'article:author'));
+  if (authors.length === 0) authors = cleanAuthorNames(getMetaContents(doc, 'author'));
+  if (authors.length === 0) {
+    authors = cleanAuthorNames(Array.from(doc.querySelectorAll('a[rel~="author"]')).map(el => el.textContent));
+  }
+
+  const section = fields.section || getMetaContent(doc, 'article:section');
+  const ogType = getMetaContent(doc, 'og:type');
+  const isArticle = Boolean(structured) || /^article$/i.test(ogType);
+  const articleType = detectArticleType(fields.articleType, section, url, isArticle);
+
+  const timeEl = doc.querySelector('time[datetime][itemprop~="datePublished"], article time[datetime]');
+  const contentTier = getMetaContent(doc, 'article:content_tier').toLowerCase();
+  const isAccessibleForFree = typeof fields.isAccessibleForFree === 'boolean'
+    ? fields.isAccessibleForFree
+    : contentTier ? contentTier === 'free' : null;
+
+  return {
+    title: title,
+    authors: authors,
+    publisher: fields.publisher || getMetaContent(doc, 'og:site_name'),
+    section: section,
+    datePublished: fields.datePublished ||
+      getMetaContent(doc, 'article:published_time') ||
+      getMetaContent(doc, 'datePublished') ||
+      getMetaContent(doc, 'publish-date') ||
+      (timeEl ? timeEl.getAttribute('datetime') : ''),
+    dateModified: fields.dateModified ||
+      getMetaContent(doc, 'article:modified_time') ||
+      getMetaContent(doc, 'og:updated_time'),
+    articleType: articleType.type,
+    articleTypeSource: articleType.source,
+    paywall: {
+      isAccessibleForFree: isAccessibleForFree,
+      contentTier: ['free', 'metered', 'locked'].includes(contentTier) ? contentTier : null,
+      restrictedSelectors: fields.restrictedSelectors || []
+    },
+    url: url,
+    domain: domain
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ARTICLE_TYPES,
+    readJsonLdArticle,
+    readMicrodataArticle,
+    cleanAuthorNames,
+    detectArticleType,
+    extractArticleMetadata
+  };
+}
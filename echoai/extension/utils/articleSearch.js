@@ -0,0 +1,344 @@
+/**
+ * Article search providers and opposing-article recommendations
+ * Each provider turns a search query into candidate articles; candidates from every enabled provider
+ * are ranked by how closely they cover the current article's topic and how far their lean (a feed's
+ * own tag, or else the outlet database's rating) sits on the other side of the article's. Each recommendation keeps the
+ * reasons it was picked, for the sidebar to show.
+ * Uses tokenizeStoryText, extractStoryTerms, overlapCoefficient, getStorySide and STORY_SIDES from
+ * utils/storyClustering.js, lookupOutlet and getRegistrableDomain from utils/outletDatabase.js and
+ * normalizeFeedEntry and searchFeedIndex from utils/feedIndex.js: load them first
+ */
+
+const ARTICLE_SEARCH_SETTINGS_STORAGE_KEY = 'articleSearchSettings';
+
+const DEFAULT_ARTICLE_SEARCH_SETTINGS = {
+  providers: ['gdelt'],
+  rssFeeds: []
+};
+
+const ARTICLE_FIXTURES_PATH = 'data/articleFixtures.json';
+
+const ARTICLE_SEARCH_TIMEOUT_MS = 10000;
+
+// Keywords sent to search APIs; more than a handful and GDELT finds nothing
+const SEARCH_QUERY_KEYWORDS = 4;
+
+const MAX_GDELT_RECORDS = 25;
+const MAX_RECOMMENDATIONS = 5;
+
+// Candidates sharing fewer article keywords than this are about something else
+const MIN_SHARED_TERMS = 2;
+const MIN_TOPICAL_SIMILARITY = 0.2;
+
+// Topic matters most: an opposing outlet writing about something else is no counterpoint
+const RECOMMENDATION_WEIGHTS = { topic: 0.6, lean: 0.4 };
+
+// Articles this close to zero have no side to oppose, so any outlet away from the center counts
+const CENTER_LEAN_THRESHOLD = 0.1;
+
+let articleFixturesPromise = null;
+
+/**
+ * Fetches a search URL, giving up after ARTICLE_SEARCH_TIMEOUT_MS
+ */
+async function fetchSearchResponse(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), ARTICLE_SEARCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Converts GDELT's seen date (20251018T143000Z) to an ISO date
+ */
+function parseGdeltDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z` : null;
+}
+
+/**
+ * Loads the bundled fixture articles once
+ */
+function loadArticleFixtures() {
+  if (!articleFixturesPromise) {
+    articleFixturesPromise = fetch(chrome.runtime.getURL(ARTICLE_FIXTURES_PATH))
+      .then(response => response.json())
+      .then(data => data.articles || [])
+      .catch(error => {
+        articleFixturesPromise = null;
+        throw error;
+      });
+  }
+  return articleFixturesPromise;
+}
+
+// Each provider's search(query, settings) resolves to candidates: [{ title, url, domain, snippet, published }]
+// Candidates may also carry a lean and feedName, when their feed is tagged with a lean
+const ARTICLE_SEARCH_PROVIDERS = {
+  gdelt: {
+    label: 'GDELT',
+    description: 'Searches worldwide news coverage through the GDELT DOC API.',
+
+    async search(query) {
+      const terms = `${query.searchTerms.join(' ')} sourcelang:english`;
+      const url = `https://api.gdeltproject.org/api/v2/doc/doc?query=${encodeURIComponent(terms)}&mode=artlist&format=json&sort=hybridrel&maxrecords=${MAX_GDELT_RECORDS}`;
+      // GDELT answers malformed queries with a plain-text message, which fails to parse here
+      const data = await (await fetchSearchResponse(url)).json();
+
+      return (data.articles || [])
+        .filter(article => article.url && article.title)
+        .map(article => ({
+          title: article.title,
+          url: article.url,
+          domain: article.domain || null,
+          snippet: '',
+          published: parseGdeltDate(article.seendate)
+        }));
+    }
+  },
+
+  // The feeds are polled in the background (see utils/feedIndex.js); searching only reads the local index
+  rss: {
+    label: 'Your feeds',
+    description: 'Searches the feeds listed below, polled every hour into a local index.',
+
+    async search(query, settings) {
+      return searchFeedIndex(query.terms, settings.rssFeeds);
+    }
+  },
+
+  fixture: {
+    label: 'Local fixtures',
+    description: `Sample articles bundled in ${ARTICLE_FIXTURES_PATH}, for trying recommendations offline.`,
+
+    async search() {
+      return (await loadArticleFixtures()).map(article => ({
+        title: article.title,
+        url: article.url,
+        domain: article.domain || null,
+        snippet: article.snippet || '',
+        published: article.published || null
+      }));
+    }
+  }
+};
+
+/**
+ * Reads the article search settings, filling in defaults for anything not saved
+ */
+async function getArticleSearchSettings() {
+  const result = await chrome.storage.local.get(ARTICLE_SEARCH_SETTINGS_STORAGE_KEY);
+  const settings = { ...DEFAULT_ARTICLE_SEARCH_SETTINGS, ...(result[ARTICLE_SEARCH_SETTINGS_STORAGE_KEY] || {}) };
+  return {
+    providers: settings.providers.filter(id => ARTICLE_SEARCH_PROVIDERS[id]),
+    rssFeeds: settings.rssFeeds.map(normalizeFeedEntry).filter(Boolean)
+  };
+}
+
+/**
+ * Saves the article search settings; unknown providers and invalid feeds are dropped
+ * rssFeeds are { url, lean } entries, as parseFeedList reads them
+ */
+async function saveArticleSearchSettings(settings) {
+  const seen = new Set();
+  const rssFeeds = (settings.rssFeeds || [])
+    .map(normalizeFeedEntry)
+    .filter(feed => feed && !seen.has(feed.url) && seen.add(feed.url));
+
+  await chrome.storage.local.set({
+    [ARTICLE_SEARCH_SETTINGS_STORAGE_KEY]: {
+      providers: (settings.providers || []).filter(id => ARTICLE_SEARCH_PROVIDERS[id]),
+      rssFeeds: rssFeeds
+    }
+  });
+}
+
+/**
+ * Builds the search query for an article from its (already redacted) text and title
+ * Keywords that also appear in the headline go first, since they name the story best; terms keeps
+ * every content word, with the headline's counted twice, for TF-IDF search
+ * Returns { keywords, titleWords, searchTerms, terms }
+ */
+function buildArticleSearchQuery(text, metadata) {
+  const titleWords = tokenizeStoryText(metadata.title);
+  const keywords = extractStoryTerms(`${metadata.title || ''}\n\n${text}`).keywords;
+  const titleSet = new Set(titleWords);
+
+  return {
+    keywords: keywords,
+    titleWords: titleWords,
+    terms: [...titleWords, ...titleWords, ...tokenizeStoryText(text)],
+    searchTerms: [
+      ...keywords.filter(word => titleSet.has(word)),
+      ...keywords.filter(word => !titleSet.has(word))
+    ].slice(0, SEARCH_QUERY_KEYWORDS)
+  };
+}
+
+/**
+ * Runs the query through every enabled provider; a provider that fails only loses its own results
+ * Returns the candidates, each tagged with the provider that found it
+ */
+async function searchArticleProviders(query, settings) {
+  const results = await Promise.all(settings.providers.map(async providerId => {
+    const provider = ARTICLE_SEARCH_PROVIDERS[providerId];
+    try {
+      const candidates = await provider.search(query, settings);
+      return candidates.map(candidate => ({ ...candidate, provider: providerId }));
+    } catch (error) {
+      console.log(`EchoAI: ${provider.label} search failed:`, error.message);
+      return [];
+    }
+  }));
+  return results.flat();
+}
+
+/**
+ * The hostname of a candidate, from its own domain field or its URL
+ */
+function getCandidateHostname(candidate) {
+  if (candidate.domain) return candidate.domain;
+  try {
+    return new URL(candidate.url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Describes a lean the way the spectrum labels do, e.g. "conservative (-0.8)"
+ */
+function describeRecommendationLean(lean) {
+  return `${STORY_SIDES[getStorySide(lean)].toLowerCase()} (${lean.toFixed(1)})`;
+}
+
+/**
+ * The lean a candidate is ranked by: its feed's tag, which the user chose, or else its outlet's rating
+ * Returns { name, lean, source: 'feed' | 'outlet' } or null
+ */
+function getCandidateLean(candidate, outlet, hostname) {
+  if (typeof candidate.lean === 'number') {
+    return { name: candidate.feedName || (outlet && outlet.name) || hostname, lean: candidate.lean, source: 'feed' };
+  }
+  return outlet ? { name: outlet.name, lean: outlet.lean, source: 'outlet' } : null;
+}
+
+/**
+ * How far an outlet's lean sits on the other side of the article's, from 0 to 1
+ * For articles near the center, any distance from the article counts
+ */
+function scoreOpposingLean(outletLean, articleLean) {
+  if (Math.abs(articleLean) < CENTER_LEAN_THRESHOLD) {
+    return Math.min(1, Math.abs(outletLean - articleLean) / 2);
+  }
+  return Math.max(0, Math.min(1, -Math.sign(articleLean) * (outletLean - articleLean) / 2));
+}
+
+/**
+ * Ranks candidates by topical similarity to the article and by their outlet's (or feed's) opposite lean
+ * Candidates from the article's own outlet, duplicates and off-topic results are dropped
+ * Returns up to MAX_RECOMMENDATIONS articles:
+ * [{ title, url, source, snippet, published, provider, lean, score, reasons }]
+ */
+async function rankOpposingArticles(candidates, query, metadata, articleLean) {
+  const articleTerms = new Set([...query.keywords, ...query.titleWords]);
+  const keywordRank = new Map(query.keywords.map((word, i) => [word, i]));
+  const ownDomain = getRegistrableDomain(metadata.domain || '');
+  const hasLean = typeof articleLean === 'number';
+  const outlets = new Map();
+  const seen = new Set();
+  const ranked = [];
+
+  for (const candidate of candidates) {
+    const hostname = getCandidateHostname(candidate);
+    const key = candidate.url.replace(/[?#].*$/, '').replace(/\/$/, '');
+    const titleKey = candidate.title.trim().toLowerCase();
+    if (!hostname || seen.has(key) || seen.has(titleKey) || key === String(metadata.url || '').replace(/[?#].*$/, '').replace(/\/$/, '')) continue;
+    if (ownDomain && getRegistrableDomain(hostname) === ownDomain) continue;
+    seen.add(key);
+    seen.add(titleKey);
+
+    const words = new Set(tokenizeStoryText(`${candidate.title} ${candidate.snippet}`));
+    const shared = [...words].filter(word => articleTerms.has(word));
+    const topic = overlapCoefficient(words, articleTerms);
+    if (shared.length < MIN_SHARED_TERMS || topic < MIN_TOPICAL_SIMILARITY) continue;
+
+    const registrable = getRegistrableDomain(hostname);
+    if (!outlets.has(registrable)) outlets.set(registrable, await lookupOutlet(hostname));
+    const outlet = outlets.get(registrable);
+    const rating = getCandidateLean(candidate, outlet, hostname.replace(/^www\./, ''));
+
+    const lean = rating && hasLean ? scoreOpposingLean(rating.lean, articleLean) : 0;
+    const sharedTerms = shared
+      .sort((a, b) => (keywordRank.has(a) ? keywordRank.get(a) : Infinity) - (keywordRank.has(b) ? keywordRank.get(b) : Infinity))
+      .slice(0, 4);
+
+    const reasons = [`Same topic: mentions ${sharedTerms.map(word => `"${word}"`).join(', ')} like this article`];
+    if (!rating) {
+      reasons.push(`${registrable} isn't in the outlet database, so its lean is unknown`);
+    } else {
+      const rated = rating.source === 'feed'
+        ? `${rating.name} is tagged ${describeRecommendationLean(rating.lean)} in your feed list`
+        : `${rating.name} is rated ${describeRecommendationLean(rating.lean)}`;
+      if (!hasLean) {
+        reasons.push(`${rated}; this article's lean is unknown`);
+      } else {
+        const ratingSide = getStorySide(rating.lean);
+        const relation = ratingSide === getStorySide(articleLean)
+          ? 'on the same side as this article\'s'
+          : ratingSide === 'center' ? 'closer to the center than this article\'s' : 'across the spectrum from this article\'s';
+        reasons.push(`${rated}, ${relation} ${describeRecommendationLean(articleLean)}`);
+      }
+    }
+    reasons.push(typeof candidate.matchScore === 'number'
+      ? `Found via ${ARTICLE_SEARCH_PROVIDERS[candidate.provider].label} (TF-IDF match ${candidate.matchScore.toFixed(2)})`
+      : `Found via ${ARTICLE_SEARCH_PROVIDERS[candidate.provider].label}`);
+
+    ranked.push({
+      title: candidate.title,
+      url: candidate.url,
+      source: outlet ? outlet.name : candidate.feedName || hostname.replace(/^www\./, ''),
+      snippet: candidate.snippet,
+      published: candidate.published,
+      provider: candidate.provider,
+      lean: rating ? rating.lean : null,
+      score: RECOMMENDATION_WEIGHTS.topic * topic + RECOMMENDATION_WEIGHTS.lean * lean,
+      reasons: reasons
+    });
+  }
+
+  return ranked.sort((a, b) => b.score - a.score).slice(0, MAX_RECOMMENDATIONS);
+}
+
+/**
+ * Finds articles on the same topic from outlets on the other side of the spectrum
+ * text and metadata must already be redacted: the query is built from them
+ */
+async function findOpposingArticles(text, metadata, articleLean) {
+  const settings = await getArticleSearchSettings();
+  const query = buildArticleSearchQuery(text, metadata);
+  if (query.searchTerms.length === 0 || settings.providers.length === 0) return [];
+
+  const candidates = await searchArticleProviders(query, settings);
+  return rankOpposingArticles(candidates, query, metadata, articleLean);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ARTICLE_SEARCH_PROVIDERS,
+    DEFAULT_ARTICLE_SEARCH_SETTINGS,
+    getArticleSearchSettings,
+    saveArticleSearchSettings,
+    buildArticleSearchQuery,
+    searchArticleProviders,
+    rankOpposingArticles,
+    findOpposingArticles
+  };
+}
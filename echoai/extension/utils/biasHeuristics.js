@@ -1,6 +1,7 @@
 /**
  * Local bias detection heuristics
  * Provides quick bias indicators before AI analysis
+ * Emotional language is scored with VADER: load utils/vaderLexicon.js and utils/vaderSentiment.js first
  */
 
 // Political bias indicators (simplified)
@@ -16,23 +17,58 @@ const RIGHT_BIAS_INDICATORS = [
   'constitutional', 'liberty', 'freedom'
 ];
 
-// Emotional language indicators
-const EMOTIONAL_WORDS = [
-  'shocking', 'outrageous', 'devastating', 'amazing',
-  'incredible', 'terrible', 'horrific', 'wonderful',
-  'disgusting', 'brilliant', 'stupid', 'genius'
+// Loaded language patterns, with the reason shown when a sentence is highlighted
+const LOADED_PATTERNS = [
+  { pattern: /\bclearly\b/gi, reason: 'absolutist phrasing' },
+  { pattern: /\bobviously\b/gi, reason: 'absolutist phrasing' },
+  { pattern: /\bundoubtedly\b/gi, reason: 'absolutist phrasing' },
+  { pattern: /\beveryone knows\b/gi, reason: 'appeal to common belief' },
+  { pattern: /\bit's clear that\b/gi, reason: 'absolutist phrasing' },
+  { pattern: /\bno one can deny\b/gi, reason: 'absolutist phrasing' }
 ];
 
-// Loaded language patterns
-const LOADED_PATTERNS = [
-  /clearly/i,
-  /obviously/i,
-  /undoubtedly/i,
-  /everyone knows/i,
-  /it's clear that/i,
-  /no one can deny/i
+// Phrases that mark a statement as opinion or as backed by evidence
+const OPINION_INDICATORS = [
+  'i think', 'i believe', 'in my opinion', 'i feel',
+  'should', 'must', 'ought to', 'better', 'worse',
+  'good', 'bad', 'right', 'wrong'
+];
+
+const FACT_INDICATORS = [
+  'according to', 'research shows', 'study found',
+  'data indicates', 'statistics show', 'percent',
+  'according to data'
 ];
 
+// Hedges that mark a statement as speculation rather than established fact
+const SPECULATION_INDICATORS = [
+  'could', 'might', 'likely', 'unlikely', 'possibly', 'perhaps',
+  'reportedly', 'allegedly', 'expected to', 'appears to', 'seems to',
+  'is set to', 'would', 'speculate', 'rumored', 'if'
+];
+
+// "may" is matched in the original case, so the month ("on May 3") doesn't read as a hedge
+const SPECULATION_MAY_PATTERN = /\bmay\b/;
+
+// Reporting verbs that attribute a statement to a speaker
+const ATTRIBUTION_PATTERN = /\b(said|says|told|stated|added|argued|claimed|insisted|warned|wrote|announced)\b/i;
+
+// Quoted passage of at least three words, in straight or curly quotes
+const QUOTED_PASSAGE_PATTERN = /["“][^"”]*\s[^"”]*\s[^"”]*["”]/;
+
+const SENTENCE_LABELS = {
+  fact: 'Factual claim',
+  opinion: 'Opinion',
+  quote: 'Attributed quote',
+  speculation: 'Speculation'
+};
+
+// Words whose VADER valence is at least this strong read as high-arousal
+const HIGH_AROUSAL_VALENCE = 2.5;
+
+// Cap on highlighted sentences so a heated article doesn't turn the page yellow
+const MAX_HIGHLIGHTS = 40;
+
 /**
  * Analyzes text for bias indicators
  * Returns a preliminary bias score (-1 to 1, where -1 is left, 1 is right, 0 is neutral)
@@ -65,16 +101,12 @@ function analyzeBiasHeuristics(text) {
     }
   });
 
-  // Check for emotional language
-  let emotionalCount = 0;
-  EMOTIONAL_WORDS.forEach(word => {
-    const matches = (lowerText.match(new RegExp(`\\b${word}\\b`, 'gi')) || []).length;
-    emotionalCount += matches;
-  });
+  // Check for emotional language: sentences VADER rates as strongly charged
+  const sentiment = analyzeVaderSentiment(text);
 
   // Check for loaded language
   let loadedCount = 0;
-  LOADED_PATTERNS.forEach(pattern => {
+  LOADED_PATTERNS.forEach(({ pattern }) => {
     const matches = (lowerText.match(pattern) || []).length;
     loadedCount += matches;
   });
@@ -93,36 +125,84 @@ function analyzeBiasHeuristics(text) {
     score: Math.max(-1, Math.min(1, score)), // Clamp to [-1, 1]
     confidence: confidence,
     indicators: indicators,
-    emotionalLanguage: emotionalCount,
+    emotionalLanguage: sentiment.chargedSentences,
+    emotionalIntensity: sentiment.intensity,
     loadedLanguage: loadedCount
   };
 }
 
+/**
+ * Finds the sentences that drove the emotional and loaded-language scores
+ * loadedPhrases are optional { phrase, reason } entries from the AI analysis
+ * Returns [{ id, text, category, reasons: [{ type: 'loaded' | 'emotional', label, detail }] }] in page order
+ */
+function findHighlightSentences(text, loadedPhrases = []) {
+  const sentiment = analyzeVaderSentiment(text);
+  const highlights = [];
+
+  sentiment.sentences.forEach(sentence => {
+    const reasons = [];
+    const lowerSentence = sentence.text.toLowerCase();
+
+    LOADED_PATTERNS.forEach(({ pattern, reason }) => {
+      const match = sentence.text.match(pattern);
+      if (match) {
+        reasons.push({ type: 'loaded', label: reason, detail: `"${match[0]}"` });
+      }
+    });
+
+    loadedPhrases.forEach(entry => {
+      if (entry.phrase && lowerSentence.includes(entry.phrase.toLowerCase())) {
+        reasons.push({ type: 'loaded', label: 'loaded language', detail: `"${entry.phrase}"${entry.reason ? `: ${entry.reason}` : ''}` });
+      }
+    });
+
+    const arousalWords = [...new Set(lowerSentence.match(/[a-z'-]+/g) || [])]
+      .filter(word => Math.abs(VADER_LEXICON[word] || 0) >= HIGH_AROUSAL_VALENCE);
+    if (arousalWords.length > 0) {
+      reasons.push({ type: 'emotional', label: 'high-arousal word', detail: arousalWords.map(word => `"${word}"`).join(', ') });
+    }
+
+    if (Math.abs(sentence.compound) >= VADER_CHARGED_THRESHOLD) {
+      reasons.push({
+        type: 'emotional',
+        label: sentence.compound > 0 ? 'strongly positive tone' : 'strongly negative tone',
+        detail: `sentiment ${sentence.compound.toFixed(2)}`
+      });
+    }
+
+    if (reasons.length > 0) {
+      highlights.push({ text: sentence.text, reasons: reasons, weight: reasons.length + Math.abs(sentence.compound) });
+    }
+  });
+
+  // Keep the strongest ones, then restore page order
+  return highlights
+    .map((highlight, index) => ({ ...highlight, index }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_HIGHLIGHTS)
+    .sort((a, b) => a.index - b.index)
+    .map((highlight, i) => ({
+      id: `h${i}`,
+      text: highlight.text,
+      category: highlight.reasons.some(reason => reason.type === 'loaded') ? 'loaded' : 'emotional',
+      reasons: highlight.reasons
+    }));
+}
+
 /**
  * Detects if text contains opinion vs fact
  */
 function detectOpinionVsFact(text) {
-  const opinionIndicators = [
-    'i think', 'i believe', 'in my opinion', 'i feel',
-    'should', 'must', 'ought to', 'better', 'worse',
-    'good', 'bad', 'right', 'wrong'
-  ];
-
-  const factIndicators = [
-    'according to', 'research shows', 'study found',
-    'data indicates', 'statistics show', 'percent',
-    'according to data'
-  ];
-
   const lowerText = text.toLowerCase();
   let opinionCount = 0;
   let factCount = 0;
 
-  opinionIndicators.forEach(phrase => {
+  OPINION_INDICATORS.forEach(phrase => {
     opinionCount += (lowerText.match(new RegExp(phrase, 'gi')) || []).length;
   });
 
-  factIndicators.forEach(phrase => {
+  FACT_INDICATORS.forEach(phrase => {
     factCount += (lowerText.match(new RegExp(phrase, 'gi')) || []).length;
   });
 
@@ -139,6 +219,65 @@ function detectOpinionVsFact(text) {
   };
 }
 
+/**
+ * Returns the first phrase from the list that appears as whole words in the sentence
+ */
+function findIndicator(lowerSentence, phrases) {
+  return phrases.find(phrase => new RegExp(`\\b${phrase}\\b`).test(lowerSentence)) || null;
+}
+
+/**
+ * Labels one sentence as 'quote', 'speculation', 'opinion' or 'fact'
+ * Quotes win over the other labels because the words belong to the speaker, not the author,
+ * and evidence phrases ("according to", "study found") keep a sentence factual
+ * Returns { label, cue } where cue is the phrase that decided it
+ */
+function classifySentence(sentence) {
+  const lowerSentence = sentence.toLowerCase();
+
+  const quoted = sentence.match(QUOTED_PASSAGE_PATTERN);
+  if (quoted) return { label: 'quote', cue: 'quotation' };
+
+  const attribution = sentence.match(ATTRIBUTION_PATTERN);
+  if (attribution) return { label: 'quote', cue: attribution[0].toLowerCase() };
+
+  const evidence = findIndicator(lowerSentence, FACT_INDICATORS);
+  if (evidence) return { label: 'fact', cue: evidence };
+
+  const hedge = findIndicator(lowerSentence, SPECULATION_INDICATORS) || (SPECULATION_MAY_PATTERN.test(sentence) ? 'may' : null);
+  if (hedge) return { label: 'speculation', cue: hedge };
+
+  const opinion = findIndicator(lowerSentence, OPINION_INDICATORS);
+  if (opinion) return { label: 'opinion', cue: opinion };
+
+  return { label: 'fact', cue: null };
+}
+
+/**
+ * Counts sentences per label
+ */
+function countSentenceLabels(sentences) {
+  const counts = {};
+  Object.keys(SENTENCE_LABELS).forEach(label => { counts[label] = 0; });
+  sentences.forEach(sentence => { counts[sentence.label]++; });
+  return counts;
+}
+
+/**
+ * Labels every sentence of the text with the rules above
+ * Returns { source: 'rules', counts, sentences: [{ id, text, label, cue, source }] }
+ */
+function labelSentences(text) {
+  const sentences = splitSentences(text).map((sentence, i) => ({
+    id: `s${i}`,
+    text: sentence,
+    ...classifySentence(sentence),
+    source: 'rules'
+  }));
+
+  return { source: 'rules', counts: countSentenceLabels(sentences), sentences: sentences };
+}
+
 /**
  * Gets a bias label from score
  */
@@ -155,7 +294,12 @@ function getBiasLabel(score) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     analyzeBiasHeuristics,
+    findHighlightSentences,
     detectOpinionVsFact,
+    SENTENCE_LABELS,
+    classifySentence,
+    countSentenceLabels,
+    labelSentences,
     getBiasLabel
   };
 }
@@ -0,0 +1,155 @@
+/**
+ * Claim sourcing checks
+ * Matches the AI's key claims back to their sentences in the article and checks how each one is sourced:
+ * a named source, an anonymous source, a link, or nothing.
+ * Uses splitSentences from utils/vaderSentiment.js: load it first
+ */
+
+const CLAIM_SOURCING = {
+  named: 'Named source',
+  link: 'Linked source',
+  anonymous: 'Anonymous source',
+  none: 'No source given'
+};
+
+// Strongest first: when the AI and the local check disagree, the stronger sourcing wins
+const CLAIM_SOURCING_ORDER = ['named', 'link', 'anonymous', 'none'];
+
+// Share of a claim's words a sentence must contain to count as the claim's sentence
+const CLAIM_MATCH_THRESHOLD = 0.5;
+
+// Phrasing that attributes a statement to someone without naming them
+const ANONYMOUS_SOURCE_PATTERNS = [
+  /\b(?:people|persons?|sources?|officials?|aides?|insiders?)\s+(?:familiar with|close to|with knowledge of|briefed on|involved in)\b/i,
+  /\b(?:spoke|speaking|talked) on (?:the )?condition of anonymity\b/i,
+  /\b(?:declined|asked|requested) (?:not )?to be (?:named|identified)\b/i,
+  /\bwho (?:was|were) not authori[sz]ed to\b/i,
+  /\b(?:unnamed|anonymous)\s+\w+/i,
+  /\b(?:(?:a|one|two|three|several|some|many)\s+)?(?:senior\s+|administration\s+|government\s+|intelligence\s+|military\s+|company\s+)?(?:officials?|sources?)\s+(?:said|say|says|told)\b/i
+];
+
+// A capitalized name of up to six words, allowing joiners as in "Bureau of Labor Statistics"
+const SOURCE_NAME = "[A-Z][\\w.'&-]*(?:\\s+(?:(?:of|for|on|the|and)\\s+)?[A-Z][\\w.'&-]*){0,5}";
+const REPORTING_VERBS = 'said|says|told|wrote|stated|announced|testified';
+
+// Attribution to a capitalized name, before or after a reporting verb
+const NAMED_SOURCE_PATTERNS = [
+  new RegExp(`\\b[Aa]ccording to (?:the )?(${SOURCE_NAME})`),
+  new RegExp(`\\b(?:${REPORTING_VERBS})\\s+(${SOURCE_NAME})`),
+  new RegExp(`\\b(${SOURCE_NAME})\\s+(?:${REPORTING_VERBS})\\b`)
+];
+
+// Capitalized words that start a sentence, stand in for a person or give a date rather than name a source
+const NON_NAME_WORDS = [
+  'The', 'He', 'She', 'They', 'It', 'We', 'I', 'This', 'That', 'A', 'An', 'But', 'And', 'In', 'On', 'Later',
+  'Officials', 'Sources', 'Experts', 'Critics', 'Analysts', 'Observers', 'Some', 'Many', 'Others',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'Yesterday', 'Today'
+];
+
+/**
+ * Lower-cased content words of a string, for comparing a claim with sentences
+ */
+function claimWords(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9']+/g) || []).filter(word => word.length > 3);
+}
+
+/**
+ * Finds the sentence a claim comes from
+ * Tries the AI's exact quote first, then the sentence sharing the most words with the claim
+ * Returns the index into sentences, or -1
+ */
+function findClaimSentence(claim, quote, sentences) {
+  const normalize = value => String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const normalizedQuote = normalize(quote);
+
+  if (normalizedQuote.length > 20) {
+    const index = sentences.findIndex(sentence => {
+      const normalizedSentence = normalize(sentence);
+      return normalizedSentence.includes(normalizedQuote) || normalizedQuote.includes(normalizedSentence);
+    });
+    if (index !== -1) return index;
+  }
+
+  const words = new Set(claimWords(`${claim} ${quote || ''}`));
+  if (words.size === 0) return -1;
+
+  let bestIndex = -1;
+  let bestOverlap = 0;
+  sentences.forEach((sentence, i) => {
+    const sentenceWords = new Set(claimWords(sentence));
+    let shared = 0;
+    words.forEach(word => { if (sentenceWords.has(word)) shared++; });
+    const overlap = shared / words.size;
+    if (overlap > bestOverlap) {
+      bestOverlap = overlap;
+      bestIndex = i;
+    }
+  });
+
+  return bestOverlap >= CLAIM_MATCH_THRESHOLD ? bestIndex : -1;
+}
+
+/**
+ * Checks how a sentence is sourced
+ * links are the article's outbound links as { text, href }; a link counts when its text is in the sentence
+ * Returns { status, source, link }
+ */
+function detectSentenceSourcing(sentence, links = []) {
+  const lowerSentence = sentence.toLowerCase();
+  const link = links.find(entry => entry.text && entry.text.length >= 3 && lowerSentence.includes(entry.text.toLowerCase()));
+
+  for (const pattern of NAMED_SOURCE_PATTERNS) {
+    const match = sentence.match(pattern);
+    const words = match ? match[1].trim().replace(/[.,]$/, '').split(/\s+/) : [];
+    while (words.length > 0 && NON_NAME_WORDS.includes(words[0])) words.shift();
+    if (words.length > 0) {
+      return { status: 'named', source: words.join(' '), link: link ? link.href : null };
+    }
+  }
+
+  if (link) {
+    return { status: 'link', source: link.text, link: link.href };
+  }
+
+  const anonymous = ANONYMOUS_SOURCE_PATTERNS.map(pattern => sentence.match(pattern)).find(Boolean);
+  if (anonymous) {
+    return { status: 'anonymous', source: anonymous[0], link: null };
+  }
+
+  return { status: 'none', source: null, link: null };
+}
+
+/**
+ * Builds the claim checklist from the AI's key claims
+ * Each claim keeps the AI's sourcing unless the local check of its sentence finds stronger sourcing
+ * Returns [{ id, claim, sentence, status, source, link }] where sentence is null when it couldn't be found
+ */
+function buildClaimChecklist(keyClaims, text, links = []) {
+  const sentences = splitSentences(text);
+
+  return (keyClaims || []).map((entry, i) => {
+    const index = findClaimSentence(entry.claim, entry.quote, sentences);
+    const sentence = index === -1 ? null : sentences[index];
+    const local = sentence ? detectSentenceSourcing(sentence, links) : { status: 'none', source: null, link: null };
+    const reported = CLAIM_SOURCING[entry.sourcing] ? entry.sourcing : 'none';
+    const useLocal = CLAIM_SOURCING_ORDER.indexOf(local.status) < CLAIM_SOURCING_ORDER.indexOf(reported);
+
+    return {
+      id: `c${i}`,
+      claim: entry.claim,
+      sentence: sentence,
+      status: useLocal ? local.status : reported,
+      source: useLocal ? local.source : (entry.source || local.source || null),
+      link: local.link
+    };
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CLAIM_SOURCING,
+    findClaimSentence,
+    detectSentenceSourcing,
+    buildClaimChecklist
+  };
+}
@@ -1,142 +1,253 @@
 /**
  * Text extraction utilities for extracting article content from web pages
+ * The main content is found by scoring, in the style of Mozilla Readability: paragraphs add to the
+ * scores of their ancestors, class names and tags adjust them, and link-heavy blocks are penalized.
+ * Functions take an optional document so pages parsed elsewhere (e.g. with DOMParser) work too
  */
 
+// Class names and ids that mark page furniture rather than the article
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+
+// Class name weights: +25 for likely content, -25 for likely furniture
+const POSITIVE_CLASS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_CLASS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Ad containers, matched on whole class tokens so "header-nav", "shadow" or "download" aren't caught
+const AD_CLASS = /(?:^|[\s_-])(?:ad|ads|adv|advert|adverts|advertisement|adslot|dfp|sponsored)(?:$|[\s_-])/i;
+
+// Elements whose text is never part of the article
+const SKIPPED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'NAV', 'ASIDE', 'FOOTER', 'FORM',
+  'BUTTON', 'SELECT', 'TEXTAREA', 'INPUT', 'IFRAME', 'SVG', 'CANVAS'
+]);
+
+// Elements that start a new paragraph in the extracted text
+const BLOCK_TAGS = new Set([
+  'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+  'UL', 'OL', 'LI', 'DL', 'DT', 'DD', 'BLOCKQUOTE', 'PRE', 'TABLE', 'TR', 'TD', 'TH',
+  'FIGURE', 'FIGCAPTION', 'HR', 'ADDRESS'
+]);
+
+// Initial scores by tag, as in Readability
+const TAG_SCORES = {
+  DIV: 5, PRE: 3, TD: 3, BLOCKQUOTE: 3,
+  ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+  H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+};
+
+// Paragraphs shorter than this don't count towards their ancestors' scores
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// Lines that are page furniture even inside the article
+const BOILERPLATE_LINES = /^(?:advertisement|sponsored|sponsored content|share|share this( article| story)?|read more|related:?|continue reading|skip advertisement)$/i;
+
 /**
- * Extracts main article text from the DOM
- * Uses heuristics to find the main content area
+ * Reads an element's class and id for the weight checks
  */
-function extractArticleText() {
-  // Common selectors for article content
-  const articleSelectors = [
-    'article',
-    '[role="article"]',
-    '.article-content',
-    '.post-content',
-    '.entry-content',
-    '.article-body',
-    '.content',
-    'main',
-    '[class*="article"]',
-    '[class*="post"]',
-    '[class*="story"]',
-    '[id*="article"]',
-    '[id*="content"]'
-  ];
-
-  let articleElement = null;
-
-  // Try to find article element
-  for (const selector of articleSelectors) {
-    const elements = document.querySelectorAll(selector);
-    for (const el of elements) {
-      // Check if element has substantial text content
-      const text = el.innerText || el.textContent || '';
-      if (text.trim().length > 500) {
-        articleElement = el;
-        break;
-      }
-    }
-    if (articleElement) break;
-  }
+function getMatchString(element) {
+  return `${typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+}
 
-  // Fallback: find largest text container
-  if (!articleElement) {
-    const allElements = document.querySelectorAll('div, section, main, article');
-    let maxLength = 0;
-    for (const el of allElements) {
-      const text = el.innerText || el.textContent || '';
-      if (text.trim().length > maxLength && text.trim().length > 500) {
-        maxLength = text.trim().length;
-        articleElement = el;
-      }
+/**
+ * Checks whether an element is hidden by markup (computed styles aren't available for parsed documents)
+ */
+function isHiddenElement(element) {
+  const style = element.getAttribute('style') || '';
+  return element.hidden || element.getAttribute('aria-hidden') === 'true' || /display\s*:\s*none|visibility\s*:\s*hidden/i.test(style);
+}
+
+/**
+ * Elements to leave out of the extracted text: scripts, navigation, ads and hidden blocks
+ */
+function isUnwantedElement(element) {
+  if (SKIPPED_TAGS.has(element.tagName) || isHiddenElement(element)) return true;
+  const matchString = getMatchString(element);
+  if (AD_CLASS.test(matchString)) return true;
+  return UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString) && element.tagName !== 'BODY';
+}
+
+/**
+ * An element's text with line breaks as spaces and unwanted descendants left out
+ */
+function getCleanText(node) {
+  let text = '';
+  node.childNodes.forEach(child => {
+    if (child.nodeType === 3) {
+      text += child.textContent;
+    } else if (child.nodeType === 1 && !isUnwantedElement(child)) {
+      text += child.tagName === 'BR' ? ' ' : getCleanText(child);
     }
-  }
+  });
+  return text;
+}
 
-  if (!articleElement) {
-    // Last resort: use body
-    articleElement = document.body;
-  }
+/**
+ * Share of an element's text that sits inside links
+ */
+function getLinkDensity(element) {
+  const textLength = getCleanText(element).replace(/\s+/g, ' ').trim().length;
+  if (textLength === 0) return 0;
 
-  // Remove unwanted elements
-  const clone = articleElement.cloneNode(true);
-  const unwantedSelectors = [
-    'nav', 'header', 'footer', 'aside',
-    '.nav', '.navigation', '.menu',
-    '.sidebar', '.ad', '.advertisement',
-    '.social', '.share', '.comments',
-    'script', 'style', 'noscript',
-    '[class*="ad"]', '[class*="advertisement"]',
-    '[id*="ad"]', '[id*="advertisement"]'
-  ];
-
-  unwantedSelectors.forEach(selector => {
-    const elements = clone.querySelectorAll(selector);
-    elements.forEach(el => el.remove());
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    const href = link.getAttribute('href') || '';
+    // In-page anchors (footnotes, jump links) count for less, as in Readability
+    const coefficient = href.startsWith('#') ? 0.3 : 1;
+    linkLength += (link.textContent || '').replace(/\s+/g, ' ').trim().length * coefficient;
   });
+  return Math.min(1, linkLength / textLength);
+}
 
-  // Extract text
-  let text = clone.innerText || clone.textContent || '';
-  
-  // Clean up text
-  text = text
-    .replace(/\s+/g, ' ')  // Multiple spaces to single space
-    .replace(/\n\s*\n/g, '\n')  // Multiple newlines to single
-    .trim();
+/**
+ * Class and id weight of an element
+ */
+function getClassWeight(element) {
+  const matchString = getMatchString(element);
+  let weight = 0;
+  if (NEGATIVE_CLASS.test(matchString)) weight -= 25;
+  if (POSITIVE_CLASS.test(matchString)) weight += 25;
+  return weight;
+}
 
-  return text;
+/**
+ * Checks whether a div holds only inline content, in which case it is scored like a paragraph
+ */
+function isParagraphLikeDiv(element) {
+  return element.tagName === 'DIV' && !Array.from(element.children).some(child => BLOCK_TAGS.has(child.tagName));
 }
 
 /**
- * Extracts article metadata (title, author, date, etc.)
+ * Scores the page's blocks and returns the one most likely to hold the article body
+ * Each paragraph adds 1 point, 1 per comma and up to 3 for length to its parent,
+ * half that to its grandparent and a third to ancestors above that.
+ * Scores are then scaled by (1 - link density)
  */
-function extractArticleMetadata() {
-  const metadata = {
-    title: '',
-    author: '',
-    date: '',
-    url: window.location.href,
-    domain: window.location.hostname
+function findArticleElement(doc = document) {
+  const scores = new Map();
+  const body = doc.body;
+  if (!body) return null;
+
+  const initialize = element => {
+    if (!scores.has(element)) {
+      scores.set(element, (TAG_SCORES[element.tagName] || 0) + getClassWeight(element));
+    }
   };
 
-  // Extract title
-  metadata.title = document.title || 
-    (document.querySelector('h1')?.innerText || '') ||
-    (document.querySelector('[property="og:title"]')?.content || '') ||
-    (document.querySelector('meta[name="title"]')?.content || '');
-
-  // Extract author
-  const authorSelectors = [
-    '[property="article:author"]',
-    '[name="author"]',
-    '.author',
-    '[class*="author"]',
-    '[rel="author"]'
-  ];
-  for (const selector of authorSelectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      metadata.author = el.content || el.innerText || el.textContent || '';
-      if (metadata.author) break;
+  const paragraphs = Array.from(body.querySelectorAll('p, pre, td, div'))
+    .filter(element => element.tagName !== 'DIV' || isParagraphLikeDiv(element));
+
+  paragraphs.forEach(paragraph => {
+    // Skip paragraphs inside furniture such as comment threads and sidebars
+    for (let node = paragraph; node && node !== body; node = node.parentElement) {
+      if (isUnwantedElement(node)) return;
     }
-  }
 
-  // Extract date
-  const dateSelectors = [
-    '[property="article:published_time"]',
-    '[name="publish-date"]',
-    '[class*="date"]',
-    'time[datetime]'
-  ];
-  for (const selector of dateSelectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      metadata.date = el.content || el.getAttribute('datetime') || el.innerText || '';
-      if (metadata.date) break;
+    const text = getCleanText(paragraph).replace(/\s+/g, ' ').trim();
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const points = 1 + text.split(/[,，]/).length - 1 + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = paragraph.parentElement;
+    for (let level = 0; ancestor && level < 5; level++) {
+      initialize(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + points / divider);
+      if (ancestor === body) break;
+      ancestor = ancestor.parentElement;
     }
+  });
+
+  let topCandidate = null;
+  let topScore = -Infinity;
+  scores.forEach((score, element) => {
+    const finalScore = score * (1 - getLinkDensity(element));
+    scores.set(element, finalScore);
+    if (finalScore > topScore) {
+      topScore = finalScore;
+      topCandidate = element;
+    }
+  });
+
+  if (!topCandidate) return body;
+
+  // Walk up while the parent scores higher, so an article split across sibling blocks is kept whole
+  let lastScore = topScore;
+  for (let parent = topCandidate.parentElement; parent && parent !== body; parent = parent.parentElement) {
+    if (!scores.has(parent)) continue;
+    const parentScore = scores.get(parent);
+    if (parentScore < topScore / 3) break;
+    if (parentScore > lastScore) {
+      topCandidate = parent;
+      break;
+    }
+    lastScore = parentScore;
   }
 
-  return metadata;
+  return topCandidate;
+}
+
+/**
+ * Collects the paragraphs of an element, one entry per block, skipping unwanted elements
+ */
+function collectParagraphs(element, paragraphs) {
+  let inline = '';
+  const flush = () => {
+    const text = inline.replace(/\s+/g, ' ').trim();
+    if (text && !BOILERPLATE_LINES.test(text)) paragraphs.push(text);
+    inline = '';
+  };
+
+  element.childNodes.forEach(node => {
+    if (node.nodeType === 3) {
+      inline += node.textContent;
+      return;
+    }
+    if (node.nodeType !== 1 || isUnwantedElement(node)) return;
+
+    if (BLOCK_TAGS.has(node.tagName)) {
+      flush();
+      collectParagraphs(node, paragraphs);
+    } else if (node.tagName === 'BR') {
+      inline += ' ';
+    } else {
+      inline += getCleanText(node);
+    }
+  });
+
+  flush();
+}
+
+/**
+ * Extracts main article text from the DOM
+ * Paragraphs are separated by blank lines
+ */
+function extractArticleText(doc = document) {
+  const articleElement = findArticleElement(doc) || doc.body;
+  if (!articleElement) return '';
+
+  const paragraphs = [];
+  collectParagraphs(articleElement, paragraphs);
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Collects the article's outbound links so claims can be checked for a linked source
+ * root defaults to the article element; a selection passes the fragment it covers
+ * Returns [{ text, href }] for links with readable text, without duplicates
+ */
+function extractArticleLinks(root = findArticleElement() || document.body) {
+  const seen = new Set();
+  const links = [];
+
+  root.querySelectorAll('a[href]').forEach(anchor => {
+    const text = (anchor.innerText || anchor.textContent || '').replace(/\s+/g, ' ').trim();
+    const href = anchor.href;
+    if (text.length < 3 || !/^https?:/.test(href) || seen.has(href) || links.length >= 200) return;
+    seen.add(href);
+    links.push({ text: text, href: href });
+  });
+
+  return links;
 }
 
 /**
@@ -144,7 +255,8 @@ function extractArticleMetadata() {
  */
 function chunkText(text, maxChunkSize = 3000) {
   const chunks = [];
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+  // The second alternative keeps any trailing text that has no closing punctuation
+  const sentences = text.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [text];
   
   let currentChunk = '';
   for (const sentence of sentences) {
@@ -190,8 +302,9 @@ function extractKeywords(text, maxKeywords = 10) {
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    findArticleElement,
     extractArticleText,
-    extractArticleMetadata,
+    extractArticleLinks,
     chunkText,
     extractKeywords
   };
@@ -0,0 +1,351 @@
+/**
+ * Feed index
+ * Polls the user's RSS/Atom feeds, each tagged with a lean, into a local IndexedDB index, and searches
+ * it by TF-IDF similarity, so recommendations don't wait on a live search API and cover outlets GDELT
+ * misses. Feeds can be http(s) URLs or paths to feeds bundled with the extension (data/feeds/),
+ * which is how the index is tried out offline.
+ * Uses tokenizeStoryText from utils/storyClustering.js, parseFeed from utils/feedParser.js and
+ * parseLean from utils/outletDatabase.js: load them first
+ */
+
+const FEED_INDEX_DB_NAME = 'echoai-feed-index';
+// Version 2 keys items by feed and URL, so an article in two feeds keeps each feed's entry
+const FEED_INDEX_DB_VERSION = 2;
+const FEED_ITEMS_STORE = 'items';
+
+const FEED_INDEX_STATUS_STORAGE_KEY = 'feedIndexStatus';
+
+const FEED_POLL_ALARM = 'echoai-feed-poll';
+const FEED_POLL_INTERVAL_MINUTES = 60;
+const FEED_FETCH_TIMEOUT_MS = 15000;
+
+// Older items rarely cover the story being read, and dropping them keeps each search fast
+const FEED_ITEM_MAX_AGE_DAYS = 14;
+const MAX_INDEXED_FEED_ITEMS = 3000;
+
+// Best matches handed to ranking, and the similarity below which an item is unrelated
+const FEED_INDEX_RESULTS = 25;
+const MIN_FEED_MATCH_SCORE = 0.05;
+
+let feedIndexPromise = null;
+
+/**
+ * Validates one feed entry: an http(s) URL or a bundled data/ path, with an optional lean
+ * Entries saved before feeds had a lean are plain URL strings
+ * Returns { url, lean } or null
+ */
+function normalizeFeedEntry(entry) {
+  const feed = typeof entry === 'string' ? { url: entry, lean: null } : entry || {};
+  const url = String(feed.url || '').trim();
+  if (!/^https?:\/\/\S+$/i.test(url) && !/^data\/\S+$/.test(url)) return null;
+
+  const lean = feed.lean === null || feed.lean === undefined || feed.lean === '' ? null : parseLean(feed.lean);
+  return { url: url, lean: lean };
+}
+
+/**
+ * Parses the feed list typed one per line: the feed URL, then optionally its lean as a number
+ * from -1 to 1 or a label such as "lean right"
+ * Returns { feeds, invalid } where invalid lists the lines that couldn't be read
+ */
+function parseFeedList(text) {
+  const feeds = [];
+  const invalid = [];
+  const seen = new Set();
+
+  String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const [url, ...rest] = line.split(/\s+/);
+    const leanText = rest.join(' ');
+    const feed = normalizeFeedEntry({ url: url, lean: leanText || null });
+    if (!feed || (leanText && feed.lean === null)) {
+      invalid.push(line);
+    } else if (!seen.has(feed.url)) {
+      seen.add(feed.url);
+      feeds.push(feed);
+    }
+  });
+
+  return { feeds: feeds, invalid: invalid };
+}
+
+/**
+ * Formats feeds back into the one-per-line list
+ */
+function formatFeedList(feeds) {
+  return feeds.map(feed => (feed.lean === null ? feed.url : `${feed.url} ${feed.lean}`)).join('\n');
+}
+
+/**
+ * Opens the index database once, creating the items store on first use
+ * A store from an older version is dropped; the next poll fills the new one
+ */
+function openFeedIndex() {
+  if (!feedIndexPromise) {
+    feedIndexPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(FEED_INDEX_DB_NAME, FEED_INDEX_DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (request.result.objectStoreNames.contains(FEED_ITEMS_STORE)) {
+          request.result.deleteObjectStore(FEED_ITEMS_STORE);
+        }
+        const store = request.result.createObjectStore(FEED_ITEMS_STORE, { keyPath: ['feedUrl', 'url'] });
+        store.createIndex('feedUrl', 'feedUrl');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        feedIndexPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return feedIndexPromise;
+}
+
+/**
+ * Runs work(store) in one transaction on the items store
+ * Resolves with the result of the request work returns, once the transaction completes
+ */
+async function runFeedIndexTransaction(mode, work) {
+  const db = await openFeedIndex();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(FEED_ITEMS_STORE, mode);
+    const request = work(transaction.objectStore(FEED_ITEMS_STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Every indexed item
+ */
+function readFeedIndex() {
+  return runFeedIndexTransaction('readonly', store => store.getAll());
+}
+
+/**
+ * Fetches a feed document; bundled data/ paths are read from the extension
+ */
+async function fetchFeedDocument(feedUrl) {
+  const url = /^data\//.test(feedUrl) ? chrome.runtime.getURL(feedUrl) : feedUrl;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FEED_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return { url: url, xml: await response.text() };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`The feed took longer than ${FEED_FETCH_TIMEOUT_MS / 1000} seconds to load.`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Stores a parsed feed's items with the terms TF-IDF search compares
+ * Items the feed already had are replaced, so a story's updated headline wins; the same article
+ * from another feed is a separate item
+ */
+function indexFeedItems(feed, parsed) {
+  const indexedAt = Date.now();
+  return runFeedIndexTransaction('readwrite', store => {
+    parsed.items.forEach(item => {
+      let domain = '';
+      try {
+        domain = new URL(item.url).hostname;
+      } catch (error) {
+        domain = '';
+      }
+      store.put({
+        ...item,
+        domain: domain,
+        feedUrl: feed.url,
+        feedName: parsed.title || null,
+        terms: tokenizeStoryText(`${item.title} ${item.title} ${item.snippet}`),
+        indexedAt: indexedAt
+      });
+    });
+  });
+}
+
+/**
+ * Removes items from feeds no longer listed and items past FEED_ITEM_MAX_AGE_DAYS, then the oldest
+ * items past MAX_INDEXED_FEED_ITEMS
+ */
+async function pruneFeedIndex(feeds) {
+  const feedUrls = new Set(feeds.map(feed => feed.url));
+  const cutoff = Date.now() - FEED_ITEM_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const itemTime = item => Date.parse(item.published) || item.indexedAt;
+  const itemKey = item => JSON.stringify([item.feedUrl, item.url]);
+
+  const items = await readFeedIndex();
+  const kept = items
+    .filter(item => feedUrls.has(item.feedUrl) && itemTime(item) >= cutoff)
+    .sort((a, b) => itemTime(b) - itemTime(a))
+    .slice(0, MAX_INDEXED_FEED_ITEMS);
+  const keptKeys = new Set(kept.map(itemKey));
+  const removed = items.filter(item => !keptKeys.has(itemKey(item)));
+
+  if (removed.length > 0) {
+    await runFeedIndexTransaction('readwrite', store => {
+      removed.forEach(item => store.delete([item.feedUrl, item.url]));
+    });
+  }
+  return removed.length;
+}
+
+/**
+ * Polls every feed into the index, one at a time, and records how each one went
+ * A feed that fails keeps the items it had; the others are still indexed
+ * Returns the status by feed URL: { title, itemCount, polledAt, error }
+ */
+async function pollFeeds(feeds) {
+  const previous = await getFeedIndexStatus();
+  const status = {};
+
+  for (const feed of feeds) {
+    try {
+      const { url, xml } = await fetchFeedDocument(feed.url);
+      const parsed = parseFeed(xml, url);
+      if (parsed.items.length === 0) {
+        throw new Error('No RSS or Atom items found.');
+      }
+      await indexFeedItems(feed, parsed);
+      status[feed.url] = { title: parsed.title || null, itemCount: parsed.items.length, polledAt: Date.now(), error: null };
+    } catch (error) {
+      console.log(`EchoAI: Could not poll feed ${feed.url}:`, error.message);
+      status[feed.url] = { ...(previous[feed.url] || { title: null, itemCount: 0 }), polledAt: Date.now(), error: error.message };
+    }
+  }
+
+  await pruneFeedIndex(feeds);
+  await chrome.storage.local.set({ [FEED_INDEX_STATUS_STORAGE_KEY]: status });
+  return status;
+}
+
+/**
+ * Reads the last poll's status by feed URL
+ */
+async function getFeedIndexStatus() {
+  const result = await chrome.storage.local.get(FEED_INDEX_STATUS_STORAGE_KEY);
+  return result[FEED_INDEX_STATUS_STORAGE_KEY] || {};
+}
+
+/**
+ * Term counts, dampened so a word repeated through a long article doesn't drown out the rest
+ */
+function weighFeedTerms(terms, idf) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+  const vector = new Map();
+  counts.forEach((count, term) => vector.set(term, (1 + Math.log(count)) * idf(term)));
+  return vector;
+}
+
+/**
+ * Length of a term vector
+ */
+function getVectorNorm(vector) {
+  let sum = 0;
+  vector.forEach(weight => {
+    sum += weight * weight;
+  });
+  return Math.sqrt(sum);
+}
+
+/**
+ * Scores items against the query terms by the cosine of their TF-IDF vectors
+ * Document frequencies come from the items themselves, so words every feed uses count for little
+ * Returns [{ item, score }] at or above MIN_FEED_MATCH_SCORE, best first
+ */
+function scoreFeedItems(queryTerms, items) {
+  const documentFrequency = new Map();
+  items.forEach(item => {
+    new Set(item.terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  const idf = term => Math.log((items.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+  const queryVector = weighFeedTerms(queryTerms, idf);
+  const queryNorm = getVectorNorm(queryVector);
+  if (queryNorm === 0) return [];
+
+  return items
+    .map(item => {
+      const vector = weighFeedTerms(item.terms, idf);
+      const norm = getVectorNorm(vector);
+      let dot = 0;
+      vector.forEach((weight, term) => {
+        if (queryVector.has(term)) dot += weight * queryVector.get(term);
+      });
+      return { item: item, score: norm > 0 ? dot / (norm * queryNorm) : 0 };
+    })
+    .filter(result => result.score >= MIN_FEED_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Merges the indexed items of the listed feeds into one entry per article, tagged from the current
+ * feed list so retagging a feed applies without polling again
+ * An article in several feeds takes the average of their leans (untagged feeds don't count) and
+ * every feed's name, so its lean doesn't depend on which feed was polled last
+ * Returns the items with lean and feedName set
+ */
+function mergeFeedItems(items, feeds) {
+  const leans = new Map(feeds.map(feed => [feed.url, feed.lean]));
+  const byUrl = new Map();
+  items.filter(item => leans.has(item.feedUrl)).forEach(item => {
+    if (!byUrl.has(item.url)) byUrl.set(item.url, []);
+    byUrl.get(item.url).push(item);
+  });
+
+  return [...byUrl.values()].map(copies => {
+    const tagged = copies.map(copy => leans.get(copy.feedUrl)).filter(lean => lean !== null);
+    const names = [...new Set(copies.map(copy => copy.feedName).filter(Boolean))];
+    return {
+      ...copies[0],
+      lean: tagged.length > 0 ? tagged.reduce((sum, lean) => sum + lean, 0) / tagged.length : null,
+      feedName: names.length > 0 ? names.join(', ') : null
+    };
+  });
+}
+
+/**
+ * Finds the indexed items closest to the query terms
+ * Returns candidates: [{ title, url, domain, snippet, published, lean, feedName, matchScore }]
+ */
+async function searchFeedIndex(queryTerms, feeds) {
+  const items = mergeFeedItems(await readFeedIndex(), feeds);
+
+  return scoreFeedItems(queryTerms, items)
+    .slice(0, FEED_INDEX_RESULTS)
+    .map(({ item, score }) => ({
+      title: item.title,
+      url: item.url,
+      domain: item.domain || null,
+      snippet: item.snippet,
+      published: item.published,
+      lean: item.lean,
+      feedName: item.feedName,
+      matchScore: score
+    }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FEED_POLL_ALARM,
+    FEED_POLL_INTERVAL_MINUTES,
+    normalizeFeedEntry,
+    parseFeedList,
+    formatFeedList,
+    pollFeeds,
+    getFeedIndexStatus,
+    scoreFeedItems,
+    mergeFeedItems,
+    searchFeedIndex
+  };
+}
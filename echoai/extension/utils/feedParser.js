@@ -0,0 +1,128 @@
+/**
+ * RSS and Atom feed parsing
+ * The service worker has no DOMParser, so feeds are read with patterns that cover what news outlets
+ * publish: RSS 2.0 <item> and Atom <entry> elements, CDATA sections, entities and HTML descriptions
+ */
+
+// Items past this are older than anything worth recommending
+const MAX_FEED_ITEMS = 100;
+
+// Feed descriptions often carry a whole article; the snippet only needs its opening
+const MAX_FEED_SNIPPET_LENGTH = 300;
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Replaces named and numeric character references
+ */
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      // Past U+10FFFF isn't a character, and fromCodePoint would throw
+      return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    const decoded = XML_ENTITIES[name.toLowerCase()];
+    return decoded !== undefined ? decoded : entity;
+  });
+}
+
+/**
+ * Plain text of an element's content: CDATA unwrapped, entities decoded and any HTML markup dropped
+ */
+function readXmlText(value) {
+  if (!value) return '';
+  const unwrapped = value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  // Escaped HTML only becomes markup once decoded, so tags are stripped on both sides of decoding
+  return decodeXmlEntities(unwrapped.replace(/<[^>]*>/g, ' '))
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Content of the first element with one of the given names, tried in order
+ * Names match exactly, so "title" skips <media:title> and prefixed forms are listed by name ("dc:date")
+ */
+function readXmlElement(xml, names) {
+  for (const name of names) {
+    // Self-closing elements (<atom:link href="..." />) have no content and are skipped
+    const pattern = new RegExp(`<${name}(?:\\s[^>]*)?(?<!/)>([\\s\\S]*?)</${name}>`, 'i');
+    const match = xml.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * The article link of an Atom entry: the rel="alternate" link, or the first link without a rel
+ */
+function readAtomLink(entry) {
+  const links = entry.match(/<link\b[^>]*>/gi) || [];
+  const attribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`, 'i'));
+    return match ? decodeXmlEntities(match[2]) : null;
+  };
+  const link = links.find(tag => attribute(tag, 'rel') === 'alternate') ||
+    links.find(tag => !attribute(tag, 'rel'));
+  return link ? attribute(link, 'href') : null;
+}
+
+/**
+ * Resolves a link against the feed's address; returns null for anything that isn't http(s)
+ */
+function resolveFeedLink(link, feedUrl) {
+  try {
+    const url = new URL(link, feedUrl || undefined);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses an RSS or Atom document
+ * Returns { title, items: [{ title, url, snippet, published }] }, published as an ISO date or null
+ */
+function parseFeed(xml, feedUrl = '') {
+  const text = String(xml || '');
+  const blocks = text.match(/<item\b[\s\S]*?<\/item>/gi) || text.match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+  const header = text.replace(/<(item|entry)\b[\s\S]*?<\/\1>/gi, '');
+
+  const items = [];
+  blocks.slice(0, MAX_FEED_ITEMS).forEach(block => {
+    const title = readXmlText(readXmlElement(block, ['title']));
+    const rawLink = readXmlText(readXmlElement(block, ['link'])) || readAtomLink(block) || readXmlText(readXmlElement(block, ['guid', 'id']));
+    const url = resolveFeedLink(rawLink, feedUrl);
+    if (!title || !url) return;
+
+    const snippet = readXmlText(readXmlElement(block, ['description', 'summary', 'content', 'content:encoded']));
+    const published = Date.parse(readXmlText(readXmlElement(block, ['pubDate', 'published', 'updated', 'dc:date'])));
+
+    items.push({
+      title: title,
+      url: url,
+      snippet: snippet.length > MAX_FEED_SNIPPET_LENGTH
+        ? `${snippet.slice(0, MAX_FEED_SNIPPET_LENGTH).replace(/\s+\S*$/, '')}…`
+        : snippet,
+      published: Number.isFinite(published) ? new Date(published).toISOString() : null
+    });
+  });
+
+  return { title: readXmlText(readXmlElement(header, ['title'])), items: items };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    decodeXmlEntities,
+    readXmlText,
+    parseFeed
+  };
+}
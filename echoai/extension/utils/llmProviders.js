@@ -0,0 +1,276 @@
+/**
+ * LLM provider definitions
+ * Each provider knows how to build a request and read text and token usage back out
+ * of the response (or out of each server-sent event when streaming), so the rest of
+ * the extension never talks to a specific vendor directly
+ */
+
+const DEFAULT_LLM_PROVIDER = 'gemini';
+
+const SAFETY_SETTINGS_OFF = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' }
+];
+
+/**
+ * Converts a JSON schema to the OpenAPI subset Gemini's responseSchema accepts
+ * Gemini expects upper-case type names
+ */
+function toGeminiSchema(schema) {
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'type') {
+      converted.type = value.toUpperCase();
+    } else if (key === 'properties') {
+      converted.properties = {};
+      Object.entries(value).forEach(([name, child]) => {
+        converted.properties[name] = toGeminiSchema(child);
+      });
+    } else if (key === 'items') {
+      converted.items = toGeminiSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  });
+  return converted;
+}
+
+/**
+ * Builds an OpenAI-style chat-completions request
+ * Shared by the OpenAI-compatible and local providers
+ */
+function buildChatCompletionsRequest(config, prompt, options) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  const body = {
+    model: config.model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: options.temperature,
+    max_tokens: options.maxTokens
+  };
+
+  if (options.stream) {
+    body.stream = true;
+    // Ask for a final usage event so streamed calls can be counted too
+    body.stream_options = { include_usage: true };
+  }
+
+  if (options.responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'analysis', schema: options.responseSchema }
+    };
+  }
+
+  return {
+    url: `${config.baseUrl}/chat/completions`,
+    headers: headers,
+    body: body
+  };
+}
+
+/**
+ * Reads the text delta out of one streamed chat-completions event
+ */
+function parseChatCompletionsStreamChunk(data) {
+  return data.choices?.[0]?.delta?.content || '';
+}
+
+/**
+ * Reads token counts from an OpenAI-style response or final stream event
+ */
+function parseChatCompletionsUsage(data) {
+  if (!data.usage) return null;
+  return {
+    promptTokens: data.usage.prompt_tokens || 0,
+    outputTokens: data.usage.completion_tokens || 0,
+    totalTokens: data.usage.total_tokens || 0
+  };
+}
+
+/**
+ * Reads the text out of an OpenAI-style chat-completions response
+ */
+function parseChatCompletionsResponse(data, providerLabel) {
+  if (!data.choices || data.choices.length === 0) {
+    throw new Error(`${providerLabel} error: No choices returned in response.`);
+  }
+
+  const choice = data.choices[0];
+  const text = choice.message?.content;
+
+  if (!text) {
+    throw new Error(`${providerLabel} error: No text content in response. FinishReason: ${choice.finish_reason || 'unknown'}`);
+  }
+
+  return text;
+}
+
+const LLM_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    defaultModel: 'gemini-2.5-flash',
+    requiresApiKey: true,
+
+    buildRequest(config, prompt, options) {
+      const generationConfig = {
+        temperature: options.temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: options.maxTokens
+      };
+
+      if (options.responseSchema) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseSchema = toGeminiSchema(options.responseSchema);
+      }
+
+      const url = options.stream
+        ? `${config.baseUrl}/models/${config.model}:streamGenerateContent?alt=sse`
+        : `${config.baseUrl}/models/${config.model}:generateContent`;
+
+      return {
+        url: url,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': config.apiKey
+        },
+        body: {
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: generationConfig,
+          safetySettings: SAFETY_SETTINGS_OFF
+        }
+      };
+    },
+
+    parseResponse(data) {
+      // Check for prompt feedback first
+      if (data.promptFeedback && data.promptFeedback.blockReason) {
+        throw new Error(`Gemini API: Prompt was blocked due to ${data.promptFeedback.blockReason}`);
+      }
+
+      if (!data.candidates || data.candidates.length === 0) {
+        throw new Error('Gemini API error: No response candidates returned. This might be due to content filtering.');
+      }
+
+      const candidate = data.candidates[0];
+
+      if (candidate.finishReason === 'SAFETY') {
+        throw new Error('Gemini API: Response was blocked due to safety settings.');
+      }
+
+      if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
+        throw new Error('Gemini API error: Response has invalid structure. FinishReason: ' + (candidate.finishReason || 'unknown'));
+      }
+
+      const text = candidate.content.parts[0].text;
+      if (!text) {
+        throw new Error('Gemini API error: No text content in response.');
+      }
+
+      return text;
+    },
+
+    parseStreamChunk(data) {
+      const parts = data.candidates?.[0]?.content?.parts || [];
+      return parts.map(part => part.text || '').join('');
+    },
+
+    // Streamed chunks each carry running totals, so the last one seen wins
+    parseUsage(data) {
+      const usage = data.usageMetadata;
+      if (!usage) return null;
+      return {
+        promptTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+      };
+    }
+  },
+
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    requiresApiKey: true,
+
+    buildRequest(config, prompt, options) {
+      return buildChatCompletionsRequest(config, prompt, options);
+    },
+
+    parseResponse(data) {
+      return parseChatCompletionsResponse(data, 'OpenAI-compatible API');
+    },
+
+    parseStreamChunk(data) {
+      return parseChatCompletionsStreamChunk(data);
+    },
+
+    parseUsage(data) {
+      return parseChatCompletionsUsage(data);
+    }
+  },
+
+  // Ollama and llama.cpp both expose an OpenAI-compatible /v1 endpoint
+  local: {
+    label: 'Local (Ollama / llama.cpp)',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+
+    buildRequest(config, prompt, options) {
+      return buildChatCompletionsRequest(config, prompt, options);
+    },
+
+    parseResponse(data) {
+      return parseChatCompletionsResponse(data, 'Local model');
+    },
+
+    parseStreamChunk(data) {
+      return parseChatCompletionsStreamChunk(data);
+    },
+
+    parseUsage(data) {
+      return parseChatCompletionsUsage(data);
+    }
+  }
+};
+
+/**
+ * Looks up a provider definition, falling back to the default provider
+ */
+function getLlmProvider(providerId) {
+  return LLM_PROVIDERS[providerId] || LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+}
+
+/**
+ * Fills in provider defaults for any missing settings
+ * Trailing slashes are stripped from the base URL so paths can be appended safely
+ */
+function resolveLlmConfig(settings = {}) {
+  const providerId = LLM_PROVIDERS[settings.provider] ? settings.provider : DEFAULT_LLM_PROVIDER;
+  const provider = LLM_PROVIDERS[providerId];
+
+  return {
+    provider: providerId,
+    baseUrl: (settings.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    model: settings.model || provider.defaultModel,
+    apiKey: settings.apiKey || ''
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LLM_PROVIDERS,
+    DEFAULT_LLM_PROVIDER,
+    getLlmProvider,
+    resolveLlmConfig,
+    toGeminiSchema
+  };
+}
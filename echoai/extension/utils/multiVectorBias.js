@@ -0,0 +1,270 @@
+/**
+ * Multi-vector political leaning analysis
+ * Implements the vectors described in docs/multi_vector_scoring.md.
+ * Every vector returns { score, confidence, detail } or null when it has no signal.
+ * Scores use the extension's convention: -1 (Conservative) to 1 (Liberal)
+ */
+
+// GDELT tone measures sentiment, not ideology, so it only nudges a score the other vectors make
+// (supporting: it doesn't count toward MIN_BIAS_VECTORS)
+const BIAS_VECTORS = [
+  { id: 'domain', name: 'Domain Reputation', weight: 0.35 },
+  { id: 'content', name: 'Content Keywords', weight: 0.25 },
+  { id: 'gdelt', name: 'GDELT Tone', weight: 0.20, supporting: true },
+  { id: 'language', name: 'Language Patterns', weight: 0.12 },
+  { id: 'framing', name: 'Framing Techniques', weight: 0.08 }
+];
+
+const MIN_BIAS_VECTORS = 2;
+
+const GDELT_TONE_CONFIDENCE = 0.1;
+const GDELT_TIMEOUT_MS = 10000;
+
+// Words in a domain that hint at its leaning when the outlet isn't in the outlet database
+const DOMAIN_KEYWORDS = {
+  conservative: ['conservative', 'patriot', 'liberty', 'freedom', 'right'],
+  liberal: ['progressive', 'liberal', 'left', 'democrat']
+};
+
+// Content keywords with importance weights (0-1)
+const CONSERVATIVE_KEYWORDS = {
+  'free market': 0.8, 'second amendment': 0.9, 'border security': 0.8,
+  'illegal aliens': 0.9, 'pro-life': 0.8, 'tax relief': 0.7,
+  'big government': 0.8, 'religious liberty': 0.8, 'law and order': 0.7,
+  'school choice': 0.7, 'radical left': 0.9, 'job creators': 0.7
+};
+
+const LIBERAL_KEYWORDS = {
+  'social justice': 0.8, 'climate action': 0.7, 'gun control': 0.7,
+  'gun safety': 0.8, 'undocumented immigrants': 0.8, 'pro-choice': 0.8,
+  'reproductive rights': 0.8, 'income inequality': 0.7, 'systemic racism': 0.9,
+  'voter suppression': 0.8, 'far-right': 0.8, 'living wage': 0.7
+};
+
+// Linguistic patterns that hint at framing, with weights (0-1)
+const CONSERVATIVE_PATTERNS = {
+  'clearly': 0.3, 'obviously': 0.3, 'personal responsibility': 0.6,
+  'traditional': 0.4, 'hardworking americans': 0.5, 'common sense': 0.4
+};
+
+const LIBERAL_PATTERNS = {
+  'systemic': 0.5, 'privilege': 0.5, 'marginalized': 0.5,
+  'collective': 0.4, 'equity': 0.5, 'underserved': 0.5
+};
+
+// Framing techniques: emotional appeals lean slightly conservative, victim framing slightly liberal
+const EMOTIONAL_APPEAL_TERMS = ['outrage', 'outrageous', 'scandal', 'disgrace', 'chaos', 'betrayal'];
+const VICTIM_FRAMING_TERMS = ['victims of', 'vulnerable', 'suffering', 'targeted', 'left behind', 'oppressed'];
+
+/**
+ * Counts whole-word occurrences of a phrase in lower-cased text
+ */
+function countPhrase(lowerText, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return (lowerText.match(new RegExp(`\\b${escaped}\\b`, 'g')) || []).length;
+}
+
+/**
+ * Scores text against two weighted term lists
+ * Returns { score, matches, terms } or null when nothing matched
+ */
+function scoreWeightedTerms(lowerText, conservativeTerms, liberalTerms) {
+  let conservativeWeight = 0;
+  let liberalWeight = 0;
+  let matches = 0;
+  const terms = [];
+
+  Object.entries(conservativeTerms).forEach(([term, weight]) => {
+    const count = countPhrase(lowerText, term);
+    if (count > 0) {
+      conservativeWeight += count * weight;
+      matches += count;
+      terms.push({ term, count, lean: 'conservative' });
+    }
+  });
+
+  Object.entries(liberalTerms).forEach(([term, weight]) => {
+    const count = countPhrase(lowerText, term);
+    if (count > 0) {
+      liberalWeight += count * weight;
+      matches += count;
+      terms.push({ term, count, lean: 'liberal' });
+    }
+  });
+
+  const total = conservativeWeight + liberalWeight;
+  if (total === 0) return null;
+
+  return {
+    score: (liberalWeight - conservativeWeight) / total,
+    matches: matches,
+    terms: terms
+  };
+}
+
+/**
+ * Vector 1: source reputation
+ * outlet is the outlet database entry for the domain (see utils/outletDatabase.js), or null.
+ * Without one, falls back to keywords in the domain name
+ */
+function scoreDomainVector(domain, outlet) {
+  if (outlet) {
+    const how = outlet.matchType === 'exact' ? 'Known outlet' : `Known outlet (via ${outlet.matchedDomain})`;
+    const override = outlet.source === 'override' ? ', your override' : '';
+    return {
+      score: outlet.lean,
+      confidence: outlet.matchType === 'exact' ? 0.9 : 0.85,
+      detail: `${how}: ${outlet.name}${override}`
+    };
+  }
+
+  const host = (domain || '').toLowerCase().replace(/^www\./, '');
+  if (!host) return null;
+
+  const conservativeHit = DOMAIN_KEYWORDS.conservative.find(word => host.includes(word));
+  const liberalHit = DOMAIN_KEYWORDS.liberal.find(word => host.includes(word));
+  if (conservativeHit && !liberalHit) {
+    return { score: -0.5, confidence: 0.4, detail: `Domain name contains "${conservativeHit}"` };
+  }
+  if (liberalHit && !conservativeHit) {
+    return { score: 0.5, confidence: 0.4, detail: `Domain name contains "${liberalHit}"` };
+  }
+
+  return null;
+}
+
+/**
+ * Vector 2: political keywords in the article text
+ */
+function scoreContentVector(text) {
+  const result = scoreWeightedTerms((text || '').toLowerCase(), CONSERVATIVE_KEYWORDS, LIBERAL_KEYWORDS);
+  if (!result) return null;
+
+  return {
+    score: result.score,
+    confidence: 0.6 + 0.2 * Math.min(result.matches / 10, 1),
+    detail: `${result.matches} political keyword${result.matches === 1 ? '' : 's'}: ${result.terms.map(t => t.term).join(', ')}`
+  };
+}
+
+/**
+ * Vector 3: GDELT tone for articles matching the title
+ * GDELT tone is sentiment, not ideology, so this vector carries low confidence;
+ * a slow GDELT gives up after GDELT_TIMEOUT_MS rather than holding up the analysis
+ */
+async function scoreGdeltVector(text, metadata) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), GDELT_TIMEOUT_MS);
+  try {
+    const query = encodeURIComponent(metadata.title || text.substring(0, 100));
+    const gdeltUrl = `https://api.gdeltproject.org/api/v2/doc/doc?query=${query}&mode=artlist&format=json&maxrecords=1`;
+
+    const response = await fetch(gdeltUrl, { signal: controller.signal });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const article = data.articles && data.articles[0];
+    if (!article || typeof article.tone !== 'number') return null;
+
+    // GDELT tone ranges from -100 (negative) to +100 (positive)
+    return {
+      score: Math.max(-1, Math.min(1, article.tone / 100)),
+      confidence: GDELT_TONE_CONFIDENCE,
+      detail: `GDELT tone ${article.tone.toFixed(1)} (sentiment, not political leaning)`
+    };
+  } catch (e) {
+    console.log('GDELT API not available:', e.message);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Vector 4: linguistic patterns that indicate framing
+ */
+function scoreLanguageVector(text) {
+  const result = scoreWeightedTerms((text || '').toLowerCase(), CONSERVATIVE_PATTERNS, LIBERAL_PATTERNS);
+  if (!result) return null;
+
+  return {
+    score: result.score,
+    confidence: 0.4 + 0.1 * Math.min(result.matches / 10, 1),
+    detail: `${result.matches} framing pattern${result.matches === 1 ? '' : 's'}: ${result.terms.map(t => t.term).join(', ')}`
+  };
+}
+
+/**
+ * Vector 5: framing techniques (emotional appeals vs victim framing)
+ * Both only shift the score slightly, so the result is capped at ±0.5
+ */
+function scoreFramingVector(text) {
+  const lowerText = (text || '').toLowerCase();
+  const appeals = EMOTIONAL_APPEAL_TERMS.reduce((sum, term) => sum + countPhrase(lowerText, term), 0);
+  const victim = VICTIM_FRAMING_TERMS.reduce((sum, term) => sum + countPhrase(lowerText, term), 0);
+
+  if (appeals + victim === 0) return null;
+
+  return {
+    score: 0.5 * (victim - appeals) / (victim + appeals),
+    confidence: 0.3,
+    detail: `${appeals} emotional appeal${appeals === 1 ? '' : 's'}, ${victim} victim-framing term${victim === 1 ? '' : 's'}`
+  };
+}
+
+/**
+ * Combines vector results by weight × confidence
+ * finalScore = Σ(score × weight × confidence) / Σ(weight × confidence)
+ * Vectors without a signal are left out and the remaining weights are used as-is,
+ * which rescales them proportionally; supporting vectors alone can't make a score
+ */
+function combineBiasVectors(results) {
+  const vectors = BIAS_VECTORS.map(vector => {
+    const result = results[vector.id];
+    if (!result) {
+      return { ...vector, available: false, score: null, confidence: 0, contribution: 0, detail: 'No signal' };
+    }
+    return {
+      ...vector,
+      available: true,
+      score: result.score,
+      confidence: result.confidence,
+      contribution: result.score * vector.weight * result.confidence,
+      detail: result.detail
+    };
+  });
+
+  const available = vectors.filter(v => v.available);
+  const totalWeight = available.reduce((sum, v) => sum + v.weight * v.confidence, 0);
+  const totalContribution = available.reduce((sum, v) => sum + v.contribution, 0);
+
+  vectors.forEach(v => {
+    v.share = v.available && totalWeight > 0 ? (v.weight * v.confidence) / totalWeight : 0;
+  });
+
+  const signalsUsed = available.filter(v => !v.supporting).length;
+  if (signalsUsed < MIN_BIAS_VECTORS || totalWeight === 0) {
+    return { success: false, score: null, vectors: vectors, vectorsUsed: available.length, signalsUsed: signalsUsed };
+  }
+
+  return {
+    success: true,
+    score: Math.max(-1, Math.min(1, totalContribution / totalWeight)),
+    confidence: totalWeight / BIAS_VECTORS.reduce((sum, v) => sum + v.weight, 0),
+    vectors: vectors,
+    vectorsUsed: available.length
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BIAS_VECTORS,
+    MIN_BIAS_VECTORS,
+    scoreDomainVector,
+    scoreContentVector,
+    scoreGdeltVector,
+    scoreLanguageVector,
+    scoreFramingVector,
+    combineBiasVectors
+  };
+}
@@ -0,0 +1,350 @@
+/**
+ * Outlet bias database
+ * Looks up news outlets in the bundled dataset (data/outlets.json) plus the user's local overrides.
+ * Hostnames are matched on the full host first, then each parent domain down to the registrable
+ * domain (eTLD+1), so www.foxnews.com and edition.cnn.com match their outlets
+ */
+
+const OUTLET_DATASET_PATH = 'data/outlets.json';
+const OUTLET_OVERRIDES_STORAGE_KEY = 'outletOverrides';
+
+const FACTUAL_RATINGS = ['very-high', 'high', 'mostly-factual', 'mixed', 'low', 'very-low'];
+
+// Public suffixes with more than one label; anything else is treated as a single-label suffix
+const MULTI_LABEL_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk',
+  'com.au', 'net.au', 'org.au', 'co.nz', 'org.nz',
+  'co.jp', 'ne.jp', 'co.in', 'co.za', 'co.il', 'co.kr',
+  'com.br', 'com.mx', 'com.ar', 'com.sg', 'com.hk', 'com.cn', 'com.tr'
+];
+
+// Text labels accepted for the lean column on import, mapped to scores
+const LEAN_LABELS = {
+  'left': 0.8,
+  'liberal': 0.8,
+  'lean left': 0.4,
+  'center-left': 0.4,
+  'center': 0,
+  'centre': 0,
+  'moderate': 0,
+  'lean right': -0.4,
+  'center-right': -0.4,
+  'right': -0.8,
+  'conservative': -0.8
+};
+
+// CSV header spellings, lower-cased with separators removed, mapped to outlet fields
+const CSV_COLUMN_ALIASES = {
+  'factualrating': 'factualRating',
+  'factual': 'factualRating',
+  'owner': 'ownership',
+  'outlet': 'name'
+};
+
+let outletDatasetPromise = null;
+
+/**
+ * Lower-cases a hostname or URL and strips the scheme, port, path and trailing dot
+ */
+function normalizeHostname(value) {
+  let host = String(value || '').trim().toLowerCase();
+  host = host.replace(/^[a-z]+:\/\//, '').split(/[/?#]/)[0].split(':')[0];
+  return host.replace(/\.$/, '');
+}
+
+/**
+ * Returns the registrable domain (eTLD+1), e.g. edition.cnn.com -> cnn.com, www.bbc.co.uk -> bbc.co.uk
+ */
+function getRegistrableDomain(hostname) {
+  const host = normalizeHostname(hostname);
+  const labels = host.split('.').filter(Boolean);
+  if (labels.length <= 2) return labels.join('.');
+
+  const lastTwo = labels.slice(-2).join('.');
+  const suffixLength = MULTI_LABEL_SUFFIXES.includes(lastTwo) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Domains to try for a hostname, most specific first, ending at the registrable domain
+ */
+function getDomainCandidates(hostname) {
+  const host = normalizeHostname(hostname);
+  const registrable = getRegistrableDomain(host);
+  if (!registrable) return [];
+
+  const candidates = [];
+  let current = host;
+  while (current && current !== registrable && current.endsWith(`.${registrable}`)) {
+    candidates.push(current);
+    current = current.slice(current.indexOf('.') + 1);
+  }
+  candidates.push(registrable);
+  return candidates;
+}
+
+/**
+ * Parses a lean value: a number from -1 to 1, or a label such as "lean left"
+ * Returns null when the value can't be read
+ */
+function parseLean(value) {
+  if (typeof value === 'number') {
+    return value >= -1 && value <= 1 ? value : null;
+  }
+
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  if (LEAN_LABELS[text] !== undefined) return LEAN_LABELS[text];
+
+  const number = Number(text);
+  return Number.isFinite(number) && number >= -1 && number <= 1 ? number : null;
+}
+
+/**
+ * Validates one outlet record and fills in defaults
+ * Returns { outlet } or { error }
+ */
+function normalizeOutlet(record) {
+  if (!record || typeof record !== 'object') {
+    return { error: 'not an object' };
+  }
+
+  const domain = normalizeHostname(record.domain).replace(/^www\./, '');
+  if (!domain || !domain.includes('.')) {
+    return { error: `invalid domain "${record.domain || ''}"` };
+  }
+
+  const lean = parseLean(record.lean);
+  if (lean === null) {
+    return { error: `invalid lean "${record.lean}" for ${domain}` };
+  }
+
+  const factualRating = String(record.factualRating || '').trim().toLowerCase().replace(/\s+/g, '-');
+
+  return {
+    outlet: {
+      domain: domain,
+      name: String(record.name || '').trim() || domain,
+      lean: lean,
+      factualRating: FACTUAL_RATINGS.includes(factualRating) ? factualRating : null,
+      ownership: String(record.ownership || '').trim() || null,
+      country: String(record.country || '').trim().toUpperCase() || null
+    }
+  };
+}
+
+/**
+ * Loads the bundled dataset once and indexes it by domain
+ */
+function loadOutletDataset() {
+  if (!outletDatasetPromise) {
+    outletDatasetPromise = fetch(chrome.runtime.getURL(OUTLET_DATASET_PATH))
+      .then(response => response.json())
+      .then(data => {
+        const outlets = {};
+        (data.outlets || []).forEach(record => {
+          const { outlet } = normalizeOutlet(record);
+          if (outlet) outlets[outlet.domain] = outlet;
+        });
+        return { version: data.version, updated: data.updated, outlets: outlets };
+      })
+      .catch(error => {
+        console.error('EchoAI: Could not load outlet dataset:', error);
+        outletDatasetPromise = null;
+        return { version: null, updated: null, outlets: {} };
+      });
+  }
+  return outletDatasetPromise;
+}
+
+/**
+ * Reads the user's outlet overrides, keyed by domain
+ */
+async function getOutletOverrides() {
+  const result = await chrome.storage.local.get(OUTLET_OVERRIDES_STORAGE_KEY);
+  return result[OUTLET_OVERRIDES_STORAGE_KEY] || {};
+}
+
+/**
+ * Finds the outlet for a hostname
+ * User overrides win over the bundled dataset at each level of the domain
+ * Returns the outlet with { matchedDomain, matchType: 'exact' | 'parent', source: 'override' | 'dataset' } or null
+ */
+async function lookupOutlet(hostname) {
+  const candidates = getDomainCandidates(hostname);
+  if (candidates.length === 0) return null;
+
+  const [dataset, overrides] = await Promise.all([loadOutletDataset(), getOutletOverrides()]);
+  const host = normalizeHostname(hostname).replace(/^www\./, '');
+
+  for (const candidate of candidates) {
+    const override = overrides[candidate];
+    const outlet = override || dataset.outlets[candidate];
+    if (outlet) {
+      return {
+        ...outlet,
+        matchedDomain: candidate,
+        matchType: candidate === host ? 'exact' : 'parent',
+        source: override ? 'override' : 'dataset'
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits CSV text into rows of fields, handling quoted fields with commas, quotes and newlines
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Parses outlet records from CSV with a header row
+ * Columns: domain, name, lean, factualRating, ownership, country (only domain and lean are required)
+ */
+function parseOutletCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => {
+    const key = header.trim().toLowerCase().replace(/[^a-z]/g, '');
+    return CSV_COLUMN_ALIASES[key] || key;
+  });
+
+  if (!headers.includes('domain') || !headers.includes('lean')) {
+    throw new Error('CSV needs a header row with at least "domain" and "lean" columns');
+  }
+
+  return rows.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = values[i] !== undefined ? values[i].trim() : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Parses outlet records from JSON: either an array of outlets or an object shaped like data/outlets.json
+ */
+function parseOutletJson(text) {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data.outlets;
+  if (!Array.isArray(records)) {
+    throw new Error('JSON must be an array of outlets or an object with an "outlets" array');
+  }
+  return records;
+}
+
+/**
+ * Imports outlets from CSV or JSON text into the user's overrides
+ * Returns { imported, skipped: [{ row, reason }] }
+ */
+async function importOutlets(text, format) {
+  const records = format === 'csv' ? parseOutletCsv(text) : parseOutletJson(text);
+  const overrides = await getOutletOverrides();
+  const skipped = [];
+  let imported = 0;
+
+  records.forEach((record, i) => {
+    const { outlet, error } = normalizeOutlet(record);
+    if (error) {
+      skipped.push({ row: i + 1, reason: error });
+      return;
+    }
+    overrides[outlet.domain] = outlet;
+    imported++;
+  });
+
+  await chrome.storage.local.set({ [OUTLET_OVERRIDES_STORAGE_KEY]: overrides });
+  return { imported, skipped };
+}
+
+/**
+ * Adds or replaces one outlet override
+ */
+async function saveOutletOverride(record) {
+  const { outlet, error } = normalizeOutlet(record);
+  if (error) throw new Error(`Invalid outlet: ${error}`);
+
+  const overrides = await getOutletOverrides();
+  overrides[outlet.domain] = outlet;
+  await chrome.storage.local.set({ [OUTLET_OVERRIDES_STORAGE_KEY]: overrides });
+  return outlet;
+}
+
+/**
+ * Removes one outlet override, restoring the bundled entry if there is one
+ */
+async function removeOutletOverride(domain) {
+  const overrides = await getOutletOverrides();
+  delete overrides[domain];
+  await chrome.storage.local.set({ [OUTLET_OVERRIDES_STORAGE_KEY]: overrides });
+}
+
+/**
+ * Removes every outlet override
+ */
+async function clearOutletOverrides() {
+  await chrome.storage.local.remove(OUTLET_OVERRIDES_STORAGE_KEY);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FACTUAL_RATINGS,
+    normalizeHostname,
+    getRegistrableDomain,
+    getDomainCandidates,
+    parseLean,
+    normalizeOutlet,
+    loadOutletDataset,
+    getOutletOverrides,
+    lookupOutlet,
+    parseOutletCsv,
+    parseOutletJson,
+    importOutlets,
+    saveOutletOverride,
+    removeOutletOverride,
+    clearOutletOverrides
+  };
+}
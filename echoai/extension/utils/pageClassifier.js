@@ -0,0 +1,201 @@
+/**
+ * Page classification and site rules
+ * Decides whether a page should be analyzed automatically: structure and metadata signals score how
+ * much it looks like a news article, and the user's allow/deny lists and "manual only" mode override that.
+ * Uses findArticleElement and getLinkDensity from utils/extractText.js and readJsonLdArticle and
+ * readMicrodataArticle from utils/articleMetadata.js: load them first
+ */
+
+const AUTO_ANALYSIS_MODE_STORAGE_KEY = 'autoAnalysisMode';
+const SITE_ALLOW_LIST_STORAGE_KEY = 'siteAllowList';
+const SITE_DENY_LIST_STORAGE_KEY = 'siteDenyList';
+
+const AUTO_ANALYSIS_MODES = {
+  articles: 'Likely news articles',
+  manual: 'Only when I ask'
+};
+const DEFAULT_AUTO_ANALYSIS_MODE = 'articles';
+
+// Pages scoring at least this count as articles
+const ARTICLE_SCORE_THRESHOLD = 3;
+
+// Paragraphs shorter than this (captions, buttons, list items) don't count as article paragraphs
+const MIN_ARTICLE_PARAGRAPH_LENGTH = 80;
+
+// URLs that are never articles: search results, mail, dashboards, accounts, shops
+const NON_ARTICLE_URL_PATTERNS = [
+  { pattern: /[?&](?:q|query|search|search_query|k)=/i, label: 'search query in the URL' },
+  { pattern: /\/(?:search|results|login|signin|sign-in|signup|account|settings|preferences|dashboard|admin|inbox|mail|cart|checkout|feed)(?:[/?#]|$)/i, label: 'app or search page URL' }
+];
+const NON_ARTICLE_HOST_PATTERN = /^(?:mail|inbox|calendar|docs|drive|sheets|console|dashboard|admin|accounts|app|portal)\./i;
+
+// Dated paths (/2025/03/...) and long hyphenated slugs are how news sites name article pages
+const ARTICLE_PATH_PATTERN = /\/(?:19|20)\d{2}\/\d{1,2}\/|\/[a-z0-9]+(?:-[a-z0-9]+){3,}/i;
+
+/**
+ * Scores how much a page looks like a news article
+ * metadata comes from extractArticleMetadata and text from extractArticleText
+ * Returns { isArticle, score, signals: [{ label, weight }] }
+ */
+function classifyPage(doc, metadata, text) {
+  const signals = [];
+  const add = (weight, label) => signals.push({ label: label, weight: weight });
+
+  if (readJsonLdArticle(doc) || readMicrodataArticle(doc)) add(3, 'schema.org article data');
+  const ogType = doc.querySelector('meta[property="og:type"]');
+  if (ogType && /^article$/i.test(ogType.getAttribute('content') || '')) add(2, 'OpenGraph type "article"');
+  if (metadata.datePublished) add(1, 'publication date');
+  if (metadata.authors && metadata.authors.length > 0) add(1, 'byline');
+  if (doc.querySelector('article')) add(1, '<article> element');
+
+  const paragraphs = String(text || '').split(/\n\s*\n/).filter(paragraph => paragraph.length >= MIN_ARTICLE_PARAGRAPH_LENGTH);
+  if (paragraphs.length >= 5) {
+    add(2, `${paragraphs.length} paragraphs of prose`);
+  } else if (paragraphs.length >= 3) {
+    add(1, `${paragraphs.length} paragraphs of prose`);
+  } else {
+    add(-2, 'little continuous prose');
+  }
+
+  const articleElement = findArticleElement(doc);
+  const linkDensity = articleElement ? getLinkDensity(articleElement) : 0;
+  if (linkDensity > 0.5) {
+    add(-3, 'mostly links');
+  } else if (linkDensity > 0.3) {
+    add(-1, 'link-heavy content');
+  }
+
+  const editable = doc.querySelectorAll('input:not([type="hidden"]), textarea, select, [contenteditable="true"]').length;
+  if (editable > 10) add(-2, 'form-heavy page');
+
+  let url = null;
+  try {
+    url = new URL(metadata.url);
+  } catch (error) {
+    url = null;
+  }
+  if (url) {
+    NON_ARTICLE_URL_PATTERNS.forEach(({ pattern, label }) => {
+      if (pattern.test(url.pathname + url.search)) add(-3, label);
+    });
+    if (NON_ARTICLE_HOST_PATTERN.test(url.hostname)) add(-3, 'web app hostname');
+    if (url.pathname === '/' || url.pathname === '') add(-2, 'site home page');
+    if (ARTICLE_PATH_PATTERN.test(url.pathname)) add(1, 'article-style URL');
+  }
+
+  const score = signals.reduce((sum, signal) => sum + signal.weight, 0);
+  return { isArticle: score >= ARTICLE_SCORE_THRESHOLD, score: score, signals: signals };
+}
+
+/**
+ * Normalizes a site list entry: "https://www.example.com/news" and "*.example.com" both become "example.com"
+ */
+function normalizeSiteEntry(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .split(/[/?#]/)[0]
+    .split(':')[0]
+    .replace(/^\*\./, '')
+    .replace(/^www\./, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * Checks a hostname against a site list; entries cover their subdomains
+ */
+function matchesSiteList(hostname, list) {
+  const host = normalizeSiteEntry(hostname);
+  return (list || []).some(entry => {
+    const site = normalizeSiteEntry(entry);
+    return site && (host === site || host.endsWith(`.${site}`));
+  });
+}
+
+/**
+ * Parses a site list typed one per line (or comma separated), without duplicates
+ */
+function parseSiteList(value) {
+  return [...new Set(String(value || '').split(/[\n,]/).map(normalizeSiteEntry).filter(Boolean))];
+}
+
+/**
+ * Reads the automatic analysis mode and site lists
+ */
+async function getAutoAnalysisSettings() {
+  const result = await chrome.storage.local.get([
+    AUTO_ANALYSIS_MODE_STORAGE_KEY,
+    SITE_ALLOW_LIST_STORAGE_KEY,
+    SITE_DENY_LIST_STORAGE_KEY
+  ]);
+  return {
+    mode: AUTO_ANALYSIS_MODES[result[AUTO_ANALYSIS_MODE_STORAGE_KEY]] ? result[AUTO_ANALYSIS_MODE_STORAGE_KEY] : DEFAULT_AUTO_ANALYSIS_MODE,
+    allow: result[SITE_ALLOW_LIST_STORAGE_KEY] || [],
+    deny: result[SITE_DENY_LIST_STORAGE_KEY] || []
+  };
+}
+
+/**
+ * Saves the automatic analysis mode and site lists
+ */
+async function saveAutoAnalysisSettings(settings) {
+  await chrome.storage.local.set({
+    [AUTO_ANALYSIS_MODE_STORAGE_KEY]: AUTO_ANALYSIS_MODES[settings.mode] ? settings.mode : DEFAULT_AUTO_ANALYSIS_MODE,
+    [SITE_ALLOW_LIST_STORAGE_KEY]: parseSiteList((settings.allow || []).join('\n')),
+    [SITE_DENY_LIST_STORAGE_KEY]: parseSiteList((settings.deny || []).join('\n'))
+  });
+}
+
+/**
+ * Adds a site to the allow or deny list, removing it from the other one
+ */
+async function addSiteRule(hostname, list) {
+  const settings = await getAutoAnalysisSettings();
+  const site = normalizeSiteEntry(hostname);
+  const keep = entry => normalizeSiteEntry(entry) !== site;
+  await saveAutoAnalysisSettings({
+    mode: settings.mode,
+    allow: list === 'allow' ? [...settings.allow.filter(keep), site] : settings.allow.filter(keep),
+    deny: list === 'deny' ? [...settings.deny.filter(keep), site] : settings.deny.filter(keep)
+  });
+}
+
+/**
+ * Decides whether to analyze a page without being asked
+ * The deny list wins, then "manual only" mode, then the allow list, then the page classifier
+ * Returns { analyze, reason }
+ */
+function decideAutoAnalysis(hostname, classification, settings) {
+  if (matchesSiteList(hostname, settings.deny)) {
+    return { analyze: false, reason: 'This site is on your deny list.' };
+  }
+  if (settings.mode === 'manual') {
+    return { analyze: false, reason: 'Automatic analysis is off (manual only mode).' };
+  }
+  if (matchesSiteList(hostname, settings.allow)) {
+    return { analyze: true, reason: 'This site is on your allow list.' };
+  }
+  if (!classification.isArticle) {
+    const negatives = classification.signals.filter(signal => signal.weight < 0).map(signal => signal.label);
+    return {
+      analyze: false,
+      reason: `This page doesn't look like a news article${negatives.length > 0 ? ` (${negatives.join(', ')})` : ''}.`
+    };
+  }
+  return { analyze: true, reason: 'This page looks like a news article.' };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AUTO_ANALYSIS_MODES,
+    classifyPage,
+    normalizeSiteEntry,
+    matchesSiteList,
+    parseSiteList,
+    getAutoAnalysisSettings,
+    saveAutoAnalysisSettings,
+    addSiteRule,
+    decideAutoAnalysis
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Privacy filter
+ * Redacts personal details from article text before it is sent to the AI provider or a search API,
+ * and decides when nothing may be sent at all: "never send" domains and incognito tabs.
+ * Uses matchesSiteList from utils/pageClassifier.js: load it first
+ */
+
+const PRIVACY_SETTINGS_STORAGE_KEY = 'privacySettings';
+
+const DEFAULT_PRIVACY_SETTINGS = {
+  redactEmails: true,
+  redactPhones: true,
+  redactIdNumbers: true,
+  redactAccountNames: true,
+  redactTerms: [],
+  neverSendDomains: [],
+  excludeIncognito: true,
+  debugLogging: false
+};
+
+// Each rule is switched on by its setting, and its accept(match), when given, can pass over a match;
+// the replacement keeps the sentence readable for the model.
+// ID and card numbers run before phone numbers, which would otherwise take their digit groups
+const REDACTION_RULES = [
+  {
+    id: 'email',
+    label: 'Email addresses',
+    setting: 'redactEmails',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    replacement: '[email]'
+  },
+  {
+    id: 'idNumber',
+    label: 'ID and card numbers',
+    setting: 'redactIdNumbers',
+    // SSNs, and card numbers: 4-4-4-4 or 4-6-5 groups with one separator throughout, or 13-19 digits
+    // unbroken, kept only when they pass the Luhn check so years, ISBNs and large figures aren't taken
+    pattern: /\b\d{3}-\d{2}-\d{4}\b|\b\d{4}([ -])\d{4}\1\d{4}\1\d{4}\b|\b\d{4}([ -])\d{6}\2\d{5}\b|\b\d{13,19}\b/g,
+    accept: match => /^\d{3}-\d{2}-\d{4}$/.test(match) || passesLuhnCheck(match),
+    replacement: '[number]'
+  },
+  {
+    id: 'phone',
+    label: 'Phone numbers',
+    setting: 'redactPhones',
+    // North American 3-3-4 numbers with one separator throughout, numbers with a +country code,
+    // and local numbers with a leading trunk 0; figures like 10.000.000 and year ranges don't fit any
+    pattern: /(?:\+1[\s.-]?)?(?:\(\d{3}\)\s?\d{3}[\s.-]\d{4}|\b\d{3}([\s.-])\d{3}\1\d{4})\b|\+\d{1,3}(?:[\s.-]\d{1,4}){2,6}\b|\b0\d{2,4}([\s-])\d{3,4}\2\d{3,4}\b/g,
+    replacement: '[phone]'
+  }
+];
+
+const REDACTION_LABELS = {
+  ...Object.fromEntries(REDACTION_RULES.map(rule => [rule.id, rule.label])),
+  accountName: 'Your account name',
+  term: 'Your custom terms'
+};
+
+// Text that shows a page is signed in, and where the signed-in user's name appears
+const SIGN_OUT_PATTERN = /^\s*(?:sign|log)\s?out\s*$/i;
+const ACCOUNT_NAME_SELECTORS = [
+  '[class*="user-name" i]',
+  '[class*="username" i]',
+  '[class*="account-name" i]',
+  '[class*="profile-name" i]',
+  '[data-testid*="user-name" i]',
+  '[data-testid*="username" i]'
+];
+const ACCOUNT_GREETING_PATTERN = /\b(?:signed in as|logged in as|welcome back,?|hi,|hello,)\s+([A-Z][\w.'-]+(?:\s+[A-Z][\w.'-]+){0,2})/g;
+
+// Account names longer than this are page text, not a name
+const MAX_ACCOUNT_NAME_LENGTH = 40;
+
+/**
+ * Reads the privacy settings, filling in defaults for anything not saved
+ */
+async function getPrivacySettings() {
+  const result = await chrome.storage.local.get(PRIVACY_SETTINGS_STORAGE_KEY);
+  return { ...DEFAULT_PRIVACY_SETTINGS, ...(result[PRIVACY_SETTINGS_STORAGE_KEY] || {}) };
+}
+
+/**
+ * Saves the privacy settings
+ */
+async function savePrivacySettings(settings) {
+  const saved = {};
+  Object.keys(DEFAULT_PRIVACY_SETTINGS).forEach(key => {
+    saved[key] = settings[key] === undefined ? DEFAULT_PRIVACY_SETTINGS[key] : settings[key];
+  });
+  await chrome.storage.local.set({ [PRIVACY_SETTINGS_STORAGE_KEY]: saved });
+}
+
+/**
+ * Looks for signs the user is signed in to the page, and the name it greets them with
+ * Returns { loggedIn, names }
+ */
+function detectAccountContext(doc = document) {
+  const loggedIn = Array.from(doc.querySelectorAll('a, button'))
+    .some(el => SIGN_OUT_PATTERN.test(el.textContent || '') || SIGN_OUT_PATTERN.test(el.getAttribute('aria-label') || ''));
+  if (!loggedIn) return { loggedIn: false, names: [] };
+
+  const names = new Set();
+  doc.querySelectorAll(ACCOUNT_NAME_SELECTORS.join(', ')).forEach(el => {
+    const name = (el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (name && name.length <= MAX_ACCOUNT_NAME_LENGTH) names.add(name);
+  });
+
+  const headerText = Array.from(doc.querySelectorAll('header, nav, [role="banner"]')).map(el => el.textContent || '').join(' ');
+  let match;
+  ACCOUNT_GREETING_PATTERN.lastIndex = 0;
+  while ((match = ACCOUNT_GREETING_PATTERN.exec(headerText)) !== null) {
+    names.add(match[1]);
+  }
+
+  return { loggedIn: true, names: [...names] };
+}
+
+/**
+ * Checks a card number's Luhn check digit; separators are ignored
+ */
+function passesLuhnCheck(number) {
+  const digits = number.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Escapes text for use inside a regular expression
+ */
+function escapeRedactionTerm(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a redactor from the settings
+ * accountNames are the signed-in user's names from detectAccountContext; each full name and
+ * each of its words of three letters or more is replaced
+ * Returns a function text => { text, counts } where counts maps redaction ids to how many were replaced
+ */
+function createRedactor(settings, accountNames = []) {
+  const rules = REDACTION_RULES.filter(rule => settings[rule.setting]);
+
+  const nameWords = settings.redactAccountNames
+    ? [...new Set(accountNames.flatMap(name => [name, ...name.split(/\s+/)]).filter(word => word.length >= 3))]
+    : [];
+  if (nameWords.length > 0) {
+    rules.push({
+      id: 'accountName',
+      pattern: new RegExp(`\\b(?:${nameWords.sort((a, b) => b.length - a.length).map(escapeRedactionTerm).join('|')})\\b`, 'g'),
+      replacement: '[name]'
+    });
+  }
+
+  const terms = (settings.redactTerms || []).map(term => term.trim()).filter(Boolean);
+  if (terms.length > 0) {
+    rules.push({
+      id: 'term',
+      pattern: new RegExp(`\\b(?:${terms.map(escapeRedactionTerm).join('|')})\\b`, 'gi'),
+      replacement: '[redacted]'
+    });
+  }
+
+  return text => {
+    const counts = {};
+    let redacted = String(text || '');
+    rules.forEach(rule => {
+      redacted = redacted.replace(rule.pattern, match => {
+        if (rule.accept && !rule.accept(match)) return match;
+        counts[rule.id] = (counts[rule.id] || 0) + 1;
+        return rule.replacement;
+      });
+    });
+    return { text: redacted, counts: counts };
+  };
+}
+
+/**
+ * Adds up redaction counts into [{ id, label, count }]
+ */
+function summarizeRedactions(countsList) {
+  const totals = {};
+  countsList.forEach(counts => {
+    Object.entries(counts).forEach(([id, count]) => {
+      totals[id] = (totals[id] || 0) + count;
+    });
+  });
+  return Object.entries(totals).map(([id, count]) => ({ id: id, label: REDACTION_LABELS[id] || id, count: count }));
+}
+
+/**
+ * Checks whether anything about the page may leave the browser
+ * Returns the reason it may not, or null
+ */
+function getTransmissionBlock(hostname, settings, incognito) {
+  if (matchesSiteList(hostname, settings.neverSendDomains)) {
+    return 'This site is on your "never send" list, so nothing from it leaves the browser.';
+  }
+  if (incognito && settings.excludeIncognito) {
+    return 'Incognito tabs are excluded, so nothing from this page leaves the browser.';
+  }
+  return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_PRIVACY_SETTINGS,
+    getPrivacySettings,
+    savePrivacySettings,
+    detectAccountContext,
+    createRedactor,
+    summarizeRedactions,
+    getTransmissionBlock
+  };
+}
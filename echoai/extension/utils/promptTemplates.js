@@ -0,0 +1,219 @@
+/**
+ * Prompt template registry
+ * Named, versioned prompt templates with {{variable}} placeholders.
+ * Users can override any template from the options page; each save bumps its version,
+ * and the combined version of the templates an analysis was made with is part of its cache key
+ */
+
+const PROMPT_TEMPLATES_STORAGE_KEY = 'promptTemplates';
+
+// Templates each kind of cached result is made with, by cache namespace ('' is the page analysis),
+// so editing one prompt only invalidates the results it shaped
+const PROMPT_TEMPLATES_BY_CACHE_NAMESPACE = {
+  '': ['analysis', 'chunkSummary', 'reduce', 'sentenceLabels'],
+  selection: ['passage', 'chunkSummary', 'reduce', 'sentenceLabels'],
+  compare: ['framingDiff']
+};
+
+const DEFAULT_PROMPT_TEMPLATES = {
+  analysis: {
+    name: 'Article analysis',
+    description: 'Single call used for articles that fit in one section.',
+    version: 3,
+    variables: ['articleText', 'title', 'domain', 'detectedLean', 'articleType'],
+    template: `Analyze the following article titled "{{title}}" from {{domain}}. A preliminary source check rated its political lean as {{detectedLean}}; use that only as context. The publisher's label for the piece: {{articleType}}. An opinion piece argues a side by design, so judge its framing as argument rather than as news coverage.
+
+Respond with a single JSON object with these fields:
+- neutralSummary: a neutral, factual summary (3-4 sentences). Focus on key facts and avoid opinionated language.
+- opposingViewpoint: a summary of potential opposing viewpoints or counterarguments (3-4 sentences). Be respectful and balanced.
+- keyClaims: the main factual claims the article makes. For each give claim (one short sentence), quote (the sentence from the article that states it, copied exactly), sourcing ("named" if the article attributes it to a named person or organization, "anonymous" if to an unnamed source, "link" if it only points to a linked document, "none" if it gives no source) and source (who or what it is attributed to, or an empty string).
+- loadedLanguage: loaded or emotionally charged phrases quoted exactly from the article, each with a short reason.
+- biasRationale: one or two sentences explaining any slant in the article's framing or word choice.
+
+Article:
+{{articleText}}`
+  },
+
+  passage: {
+    name: 'Selected passage',
+    description: 'Used when you analyze a passage selected from the page.',
+    version: 1,
+    variables: ['passageText', 'title', 'domain', 'detectedLean', 'articleType'],
+    template: `The following passage was selected from the article "{{title}}" from {{domain}}. A preliminary source check rated the outlet's political lean as {{detectedLean}}; use that only as context. The publisher's label for the piece: {{articleType}}. Analyze the passage itself, not the article it comes from.
+
+Respond with a single JSON object with these fields:
+- neutralSummary: a neutral, factual restatement of what the passage says (1-2 sentences).
+- opposingViewpoint: counterpoints to this specific passage (2-4 sentences). Respond to its particular claims and framing: what a reader on the other side would dispute, what context it leaves out, and what evidence would test it. Be respectful and balanced.
+- keyClaims: the factual claims the passage makes. For each give claim (one short sentence), quote (the sentence from the passage that states it, copied exactly), sourcing ("named" if the passage attributes it to a named person or organization, "anonymous" if to an unnamed source, "link" if it only points to a linked document, "none" if it gives no source) and source (who or what it is attributed to, or an empty string).
+- loadedLanguage: loaded or emotionally charged phrases quoted exactly from the passage, each with a short reason.
+- biasRationale: one or two sentences explaining any slant in the passage's framing or word choice.
+
+Passage:
+{{passageText}}`
+  },
+
+  chunkSummary: {
+    name: 'Section summary (long articles)',
+    description: 'Map step: run once per section of a long article.',
+    version: 2,
+    variables: ['sectionText', 'sectionIndex', 'sectionCount', 'title', 'domain'],
+    template: `This is section {{sectionIndex}} of {{sectionCount}} of the article "{{title}}" from {{domain}}. Respond with a single JSON object with these fields:
+- summary: a neutral, factual summary of this section (2-3 sentences).
+- keyClaims: the main factual claims made in this section. For each give claim (one short sentence), quote (the sentence from the section that states it, copied exactly), sourcing ("named" if the section attributes it to a named person or organization, "anonymous" if to an unnamed source, "link" if it only points to a linked document, "none" if it gives no source) and source (who or what it is attributed to, or an empty string).
+- loadedLanguage: loaded or emotionally charged phrases quoted exactly from this section, each with a short reason.
+
+Section {{sectionIndex}}:
+{{sectionText}}`
+  },
+
+  reduce: {
+    name: 'Combine sections (long articles)',
+    description: 'Reduce step: combines the section summaries into the final result.',
+    version: 2,
+    variables: ['sectionSummaries', 'title', 'domain', 'detectedLean', 'articleType'],
+    template: `The following are summaries of consecutive sections of the article "{{title}}" from {{domain}}. A preliminary source check rated its political lean as {{detectedLean}}; use that only as context. The publisher's label for the piece: {{articleType}}. An opinion piece argues a side by design, so judge its framing as argument rather than as news coverage.
+
+Combine them and respond with a single JSON object with these fields:
+- neutralSummary: a neutral, factual summary of the whole article (3-4 sentences). Focus on key facts and avoid opinionated language.
+- opposingViewpoint: a summary of potential opposing viewpoints or counterarguments to the article as a whole (3-4 sentences). Be respectful and balanced.
+- biasRationale: one or two sentences explaining any slant in the article's framing or word choice.
+- summarySections: the section numbers the neutral summary draws on.
+- opposingSections: the section numbers whose arguments the opposing viewpoint responds to.
+
+{{sectionSummaries}}`
+  },
+
+  framingDiff: {
+    name: 'Compare two articles',
+    description: 'Framing diff for compare mode, built from the two articles\' analyses.',
+    version: 1,
+    variables: ['articleA', 'articleB'],
+    template: `Two articles appear to cover the same story. Compare how they frame it, using only the digests below: each gives the article's headline, outlet, a neutral summary, its main claims and the loaded phrases it uses.
+
+Respond with a single JSON object with these fields:
+- summary: one or two sentences on the main difference in how the articles frame the story. If they turn out to cover different stories, say so.
+- headlineEmphasis: how the two headlines differ in what they put first, stress or leave out (1-2 sentences).
+- factsOnlyInA: facts or claims article A reports that article B does not mention, each as one short sentence.
+- factsOnlyInB: facts or claims article B reports that article A does not mention, each as one short sentence.
+- wordChoices: the same event, person or group described in different words. For each give event (what is being described), wordingA and wordingB (the words each article uses, quoted from its digest) and note (what the difference in wording conveys).
+
+Article A:
+{{articleA}}
+
+Article B:
+{{articleB}}`
+  },
+
+  sentenceLabels: {
+    name: 'Sentence labels',
+    description: 'Optional pass that corrects the rule-based fact/opinion labels.',
+    version: 1,
+    variables: ['sentences', 'title', 'domain'],
+    template: `The following numbered sentences come from the article "{{title}}" from {{domain}}. Each has a preliminary label from simple rules:
+- fact: a checkable statement of fact made by the author.
+- opinion: a judgement, recommendation or value statement made by the author.
+- quote: words attributed to someone other than the author, quoted or paraphrased.
+- speculation: a prediction, hedge or unconfirmed report.
+
+Respond with a single JSON object with one field:
+- labels: an array of { "sentence": number, "label": one of "fact", "opinion", "quote", "speculation" } for every sentence whose preliminary label is wrong. Leave out sentences that are already labelled correctly.
+
+{{sentences}}`
+  }
+};
+
+/**
+ * Replaces {{name}} placeholders with values; unknown placeholders become empty strings
+ */
+function renderPromptTemplate(template, variables = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Reads the user's template overrides from storage
+ */
+async function getStoredPromptTemplates() {
+  const result = await chrome.storage.local.get(PROMPT_TEMPLATES_STORAGE_KEY);
+  return result[PROMPT_TEMPLATES_STORAGE_KEY] || {};
+}
+
+/**
+ * Returns every template with user overrides applied
+ * Each entry has { id, name, description, variables, template, version, customized }
+ */
+async function getPromptTemplates() {
+  const stored = await getStoredPromptTemplates();
+  const templates = {};
+
+  Object.entries(DEFAULT_PROMPT_TEMPLATES).forEach(([id, defaults]) => {
+    const override = stored[id];
+    const customized = Boolean(override && override.template);
+    templates[id] = {
+      id: id,
+      name: defaults.name,
+      description: defaults.description,
+      variables: defaults.variables,
+      template: customized ? override.template : defaults.template,
+      version: override ? Math.max(override.version, defaults.version) : defaults.version,
+      customized: customized
+    };
+  });
+
+  return templates;
+}
+
+/**
+ * Saves a user edit to a template and bumps its version
+ */
+async function savePromptTemplate(id, templateText) {
+  if (!DEFAULT_PROMPT_TEMPLATES[id]) {
+    throw new Error(`Unknown prompt template: ${id}`);
+  }
+
+  const stored = await getStoredPromptTemplates();
+  const currentVersion = Math.max(stored[id] ? stored[id].version : 0, DEFAULT_PROMPT_TEMPLATES[id].version);
+  stored[id] = { template: templateText, version: currentVersion + 1 };
+
+  await chrome.storage.local.set({ [PROMPT_TEMPLATES_STORAGE_KEY]: stored });
+  return stored[id].version;
+}
+
+/**
+ * Drops the user's override so the built-in template is used again
+ * The version still moves forward, so analyses made with the override are not reused
+ */
+async function resetPromptTemplate(id) {
+  const stored = await getStoredPromptTemplates();
+  if (!stored[id] || !stored[id].template) return;
+
+  stored[id] = { template: null, version: stored[id].version + 1 };
+  await chrome.storage.local.set({ [PROMPT_TEMPLATES_STORAGE_KEY]: stored });
+}
+
+/**
+ * Combined version of the templates used for a cache namespace, e.g. "analysis.3-chunkSummary.1-reduce.1"
+ * The namespace's kind is the part before the first colon ("selection:abc123" is a selection);
+ * unknown kinds use every template
+ * Used in the analysis cache key so a prompt change invalidates stale analyses
+ */
+function getPromptVersionTag(templates, namespace = '') {
+  const kind = String(namespace).split(':')[0];
+  const ids = PROMPT_TEMPLATES_BY_CACHE_NAMESPACE[kind] || Object.keys(DEFAULT_PROMPT_TEMPLATES);
+  return ids
+    .map(id => `${id}.${templates[id].version}`)
+    .join('-');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_PROMPT_TEMPLATES,
+    renderPromptTemplate,
+    getPromptTemplates,
+    savePromptTemplate,
+    resetPromptTemplate,
+    getPromptVersionTag
+  };
+}
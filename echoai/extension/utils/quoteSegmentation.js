@@ -0,0 +1,212 @@
+/**
+ * Quote segmentation
+ * Splits article text into the author's own narration and direct quotes, attributes each quote
+ * to a speaker where "said X" style phrasing allows, and places speakers on the political spectrum
+ * from party affiliations mentioned next to their names.
+ * Uses SOURCE_NAME, REPORTING_VERBS and NON_NAME_WORDS from utils/claimSourcing.js and
+ * scoreContentVector from utils/multiVectorBias.js: load them first
+ */
+
+// Direct quote in straight or curly quotes; shorter quotes are scare quotes and stay in the narration
+// unless an attribution ("…,” she said) sits right next to them.
+// A quote never crosses a line break: in news style a quote running over several paragraphs opens
+// each one but only closes in the last, so a quote still open at the end of a paragraph ends there
+const DIRECT_QUOTE_PATTERN = /["“]([^"“”\n]+)(?:["”]|(?=\n)|$)/g;
+const MIN_QUOTE_WORDS = 4;
+
+// How far around a quote to look for its attribution, in characters
+const ATTRIBUTION_WINDOW = 120;
+
+const ATTRIBUTION_VERBS = `${REPORTING_VERBS}|added|argued|insisted|warned`;
+
+// A title or party set off by commas between a speaker's name and the verb: "Smith, D-N.Y., said"
+const SPEAKER_APPOSITIVE = `(?:,\\s+[^,"“”\\n]{1,60},)?`;
+
+// An attribution right after a quote, or one that leads straight into it
+const ADJACENT_ATTRIBUTION_AFTER = new RegExp(`^[\\s,]*(?:(?:${SOURCE_NAME}|he|she|they)${SPEAKER_APPOSITIVE}\\s+)?(?:${ATTRIBUTION_VERBS})\\b`);
+const ADJACENT_ATTRIBUTION_BEFORE = new RegExp(`\\b(?:${ATTRIBUTION_VERBS})[,:]\\s*$`);
+
+// How far from a speaker's name a party affiliation may appear, in characters
+const AFFILIATION_WINDOW_AFTER = 60;
+const AFFILIATION_WINDOW_BEFORE = 30;
+
+// Party affiliations, scored with the extension's convention: -1 (Conservative) to 1 (Liberal)
+const AFFILIATION_PATTERNS = [
+  { pattern: /[(,]\s*R[-–][A-Z]|\bRepublican\b|\bGOP\b|\bconservative\b/g, lean: -1 },
+  { pattern: /[(,]\s*D[-–][A-Z]|\bDemocrat(?:ic)?\b|\bprogressive\b|\bliberal\b/g, lean: 1 }
+];
+
+// Speakers whose lean is within this distance of zero count as unaligned
+const SIDE_THRESHOLD = 0.2;
+
+const QUOTE_SIDES = {
+  liberal: 'Liberal-leaning',
+  unaligned: 'Unaligned or unknown',
+  conservative: 'Conservative-leaning'
+};
+
+const UNATTRIBUTED_SPEAKER = 'Unattributed';
+
+/**
+ * Reads a speaker name out of an attribution match, dropping leading pronouns and filler words
+ */
+function cleanSpeakerName(name) {
+  const words = String(name || '').trim().replace(/[.,]$/, '').split(/\s+/).filter(Boolean);
+  while (words.length > 0 && NON_NAME_WORDS.includes(words[0])) words.shift();
+  return words.join(' ');
+}
+
+/**
+ * Finds who said a quote from the text just after and just before it
+ * "he said" / "she added" refer back to the previous speaker
+ * Returns the speaker name, or null
+ */
+function findQuoteSpeaker(before, after, previousSpeaker) {
+  const patterns = [
+    { text: after, pattern: new RegExp(`^[\\s,]*(?:${ATTRIBUTION_VERBS})\\s+(${SOURCE_NAME})`) },
+    { text: after, pattern: new RegExp(`^[\\s,]*(${SOURCE_NAME})${SPEAKER_APPOSITIVE}\\s+(?:${ATTRIBUTION_VERBS})\\b`) },
+    { text: before, pattern: new RegExp(`(${SOURCE_NAME})${SPEAKER_APPOSITIVE}\\s+(?:${ATTRIBUTION_VERBS})\\b[^.!?]*$`) },
+    { text: before, pattern: new RegExp(`\\b[Aa]ccording to (?:the )?(${SOURCE_NAME})[,:]?\\s*$`) }
+  ];
+
+  for (const { text, pattern } of patterns) {
+    const match = text.match(pattern);
+    const name = match ? cleanSpeakerName(match[1]) : '';
+    if (name) return name;
+  }
+
+  const pronoun = /^[\s,]*(?:he|she|they)\s+(?:said|says|added|argued|continued|told)\b/i.test(after) ||
+    /\b(?:he|she|they)\s+(?:said|says|added|argued|told)\b[^.!?]*$/i.test(before);
+  return pronoun ? previousSpeaker : null;
+}
+
+/**
+ * Key used to group mentions of one speaker: "Sen. Ted Cruz" and "Cruz" both become "cruz"
+ */
+function getSpeakerKey(name) {
+  const words = name.split(/\s+/);
+  return words[words.length - 1].toLowerCase().replace(/[^a-z'-]/g, '');
+}
+
+/**
+ * Splits text into the author's narration and direct quotes
+ * A paragraph of a quote that carries on into the next paragraph takes its speaker from there
+ * Returns { narration, quotes: [{ text, speaker, start, end }], quotedWords, totalWords }
+ */
+function segmentQuotedSpeech(text) {
+  const source = String(text || '');
+  const quotes = [];
+  const narrationParts = [];
+  let lastEnd = 0;
+  let previousSpeaker = null;
+  let match;
+
+  DIRECT_QUOTE_PATTERN.lastIndex = 0;
+  while ((match = DIRECT_QUOTE_PATTERN.exec(source)) !== null) {
+    const quoteText = match[1].trim();
+    const start = match.index;
+    const end = start + match[0].length;
+    const before = source.slice(Math.max(lastEnd, start - ATTRIBUTION_WINDOW), start);
+    const after = source.slice(end, end + ATTRIBUTION_WINDOW).split(/["“]/)[0];
+    const attributed = ADJACENT_ATTRIBUTION_AFTER.test(after) || ADJACENT_ATTRIBUTION_BEFORE.test(before);
+    if (quoteText.split(/\s+/).length < MIN_QUOTE_WORDS && !attributed) continue;
+
+    const speaker = findQuoteSpeaker(before, after, previousSpeaker);
+
+    const previous = quotes[quotes.length - 1];
+    if (speaker && previous && previous.continues && !previous.speaker && /^\s*$/.test(source.slice(previous.end, start))) {
+      previous.speaker = speaker;
+    }
+
+    quotes.push({ text: quoteText, speaker: speaker, start: start, end: end, continues: !/["”]$/.test(match[0]) });
+    // Keep a sentence break where the quote ended one, so the narration still splits into sentences
+    narrationParts.push(source.slice(lastEnd, start) + (/[.!?]$/.test(quoteText) ? '.' : ''));
+    lastEnd = end;
+    if (speaker) previousSpeaker = speaker;
+  }
+  narrationParts.push(source.slice(lastEnd));
+
+  const countWords = value => (value.match(/\S+/g) || []).length;
+  const narration = narrationParts.join(' ').replace(/\s+/g, ' ').trim();
+
+  return {
+    narration: narration,
+    quotes: quotes.map(({ continues, ...quote }) => quote),
+    quotedWords: quotes.reduce((sum, quote) => sum + countWords(quote.text), 0),
+    totalWords: countWords(source)
+  };
+}
+
+/**
+ * Looks for party affiliations next to a speaker's name anywhere in the text
+ * Returns a lean from -1 (Conservative) to 1 (Liberal), or null when none is mentioned
+ */
+function findSpeakerAffiliation(text, speakerKey) {
+  if (!speakerKey || speakerKey.length < 3) return null;
+
+  const escaped = speakerKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const mentions = new RegExp(`\\b${escaped}\\b`, 'gi');
+  let total = 0;
+  let count = 0;
+  let mention;
+
+  while ((mention = mentions.exec(text)) !== null) {
+    const window = text.slice(Math.max(0, mention.index - AFFILIATION_WINDOW_BEFORE), mention.index + mention[0].length + AFFILIATION_WINDOW_AFTER);
+    const sentence = window.split(/[.!?]\s/).find(part => part.toLowerCase().includes(speakerKey)) || '';
+    AFFILIATION_PATTERNS.forEach(({ pattern, lean }) => {
+      const hits = (sentence.match(pattern) || []).length;
+      total += hits * lean;
+      count += hits;
+    });
+  }
+
+  return count > 0 ? total / count : null;
+}
+
+/**
+ * Groups quotes by speaker and places each speaker on the spectrum
+ * A speaker's lean comes from party affiliations next to their name, otherwise from the political
+ * keywords in what they said; speakers with neither are unaligned
+ * Returns [{ key, name, side, lean, leanSource, quotes: [text] }], most-quoted first
+ */
+function groupQuotesBySpeaker(text, quotes) {
+  const speakers = new Map();
+
+  quotes.forEach(quote => {
+    const name = quote.speaker || UNATTRIBUTED_SPEAKER;
+    const key = quote.speaker ? getSpeakerKey(name) : '';
+    if (!speakers.has(key)) {
+      speakers.set(key, { key: key, name: name, quotes: [] });
+    }
+    const speaker = speakers.get(key);
+    if (name.length > speaker.name.length) speaker.name = name;
+    speaker.quotes.push(quote.text);
+  });
+
+  return [...speakers.values()]
+    .map(speaker => {
+      let lean = speaker.key ? findSpeakerAffiliation(text, speaker.key) : null;
+      let leanSource = lean !== null ? 'affiliation' : null;
+      if (lean === null && speaker.key) {
+        const content = scoreContentVector(speaker.quotes.join(' '));
+        if (content) {
+          lean = content.score;
+          leanSource = 'content';
+        }
+      }
+
+      const side = lean === null || Math.abs(lean) < SIDE_THRESHOLD ? 'unaligned' : lean > 0 ? 'liberal' : 'conservative';
+      return { ...speaker, lean: lean, leanSource: leanSource, side: side };
+    })
+    .sort((a, b) => b.quotes.length - a.quotes.length);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    QUOTE_SIDES,
+    segmentQuotedSpeech,
+    findQuoteSpeaker,
+    findSpeakerAffiliation,
+    groupQuotesBySpeaker
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Rate-limit aware request queue for LLM calls
+ * Limits concurrency, retries transient failures with exponential backoff and jitter,
+ * honours Retry-After, and shares one request between identical in-flight callers
+ */
+
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(headerValue) {
+  if (!headerValue) return null;
+
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(headerValue);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Decides whether a failed request is worth retrying
+ * Errors carry an HTTP status, or a retryable flag for network failures and timeouts
+ */
+function isRetryableError(error) {
+  if (error.retryable) return true;
+  return RETRYABLE_STATUS_CODES.includes(error.status);
+}
+
+/**
+ * Computes the wait before the next attempt
+ * Uses "full jitter" backoff unless the server said how long to wait
+ */
+function getRetryDelay(attempt, error, baseDelayMs, maxDelayMs) {
+  if (error.retryAfterMs !== undefined && error.retryAfterMs !== null) {
+    return Math.min(error.retryAfterMs, maxDelayMs) + Math.random() * 250;
+  }
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.random() * ceiling;
+}
+
+/**
+ * Creates a request queue
+ * onStatus receives { queued, active, retrying } whenever the queue changes,
+ * where retrying lists { attempt, maxAttempts, delayMs, status } for each waiting retry
+ */
+function createRequestQueue(options = {}) {
+  const {
+    concurrency = 2,
+    maxAttempts = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    onStatus = null
+  } = options;
+
+  const waiting = [];
+  const inFlight = new Map();
+  const retrying = new Set();
+  let active = 0;
+
+  const reportStatus = () => {
+    if (!onStatus) return;
+    onStatus({
+      queued: waiting.length,
+      active: active,
+      retrying: Array.from(retrying)
+    });
+  };
+
+  const pump = () => {
+    while (active < concurrency && waiting.length > 0) {
+      const next = waiting.shift();
+      active++;
+      next();
+    }
+    reportStatus();
+  };
+
+  // Waits for a free slot, runs the task, then releases the slot
+  const runInSlot = (task) => new Promise((resolve, reject) => {
+    waiting.push(() => {
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    });
+    pump();
+  });
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  const runWithRetries = async (task) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await runInSlot(task);
+      } catch (error) {
+        if (attempt >= maxAttempts || !isRetryableError(error)) {
+          throw error;
+        }
+
+        const delayMs = getRetryDelay(attempt, error, baseDelayMs, maxDelayMs);
+        const retryInfo = { attempt: attempt + 1, maxAttempts, delayMs: Math.round(delayMs), status: error.status || null };
+
+        console.warn(`EchoAI: Request failed (${error.message}); retrying in ${retryInfo.delayMs} ms`);
+
+        // The slot is released while waiting so other requests can proceed
+        retrying.add(retryInfo);
+        reportStatus();
+        await sleep(delayMs);
+        retrying.delete(retryInfo);
+      }
+    }
+  };
+
+  return {
+    /**
+     * Runs task through the queue
+     * Calls with the same dedupeKey while one is in flight share its result
+     */
+    enqueue(dedupeKey, task) {
+      if (dedupeKey && inFlight.has(dedupeKey)) {
+        return inFlight.get(dedupeKey);
+      }
+
+      const promise = runWithRetries(task).finally(() => {
+        if (dedupeKey) inFlight.delete(dedupeKey);
+      });
+
+      if (dedupeKey) inFlight.set(dedupeKey, promise);
+      return promise;
+    }
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createRequestQueue,
+    parseRetryAfter,
+    isRetryableError
+  };
+}
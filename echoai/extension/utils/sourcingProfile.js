@@ -0,0 +1,211 @@
+/**
+ * Sourcing profile
+ * Counts who the article cites, sentence by sentence, and what its outbound links point to.
+ * Over-reliance on anonymous or one-sided sources is a bias signal the keyword vectors can't see.
+ * Uses FACT_INDICATORS from utils/biasHeuristics.js, the outlet helpers from utils/outletDatabase.js,
+ * detectSentenceSourcing from utils/claimSourcing.js and SIDE_THRESHOLD from utils/quoteSegmentation.js:
+ * load them first
+ */
+
+const SOURCE_CATEGORIES = {
+  named: 'Named individuals',
+  officials: 'Officials',
+  anonymous: 'Anonymous sources',
+  data: 'Studies and data',
+  outlets: 'Other outlets'
+};
+
+const LINK_CATEGORIES = {
+  outlet: 'News outlets',
+  government: 'Government',
+  academic: 'Academic and research',
+  social: 'Social media',
+  internal: 'Same site',
+  other: 'Other sites'
+};
+
+// Evidence that isn't a person: the evidence phrases from detectOpinionVsFact ("study found", "research shows")
+// plus research nouns. A bare "according to" or "percent" doesn't say what the source is, so those are left out
+const DATA_INDICATORS = FACT_INDICATORS.filter(phrase => phrase !== 'according to' && phrase !== 'percent');
+const DATA_SOURCE_PATTERN = /\b(?:study|studies|survey|poll|report|analysis|census|data|dataset|figures|statistics|research)\b[^.!?]*\b(?:found|finds|shows?|showed|indicates?|suggests?|published|released)\b|\baccording to (?:a |an |the )?(?:[\w-]+\s){0,4}(?:study|survey|poll|report|analysis|census|data|figures|statistics)\b/i;
+
+// Titles and bodies that make a named source an official one
+const OFFICIAL_PATTERN = /\b(?:Sen|Rep|Gov)\.|\b(?:President|Vice President|Senator|Representative|Governor|Mayor|Secretary|Minister|Chancellor|Ambassador|Attorney General|Judge|Justice|Commissioner|Sheriff|Chief|spokes(?:man|woman|person)|White House|Pentagon|Kremlin|Department|Ministry|Agency|Police|Congress|Parliament|Senate|Court|Administration|Commission|Bureau|Council)\b/;
+
+// Wire services that aren't always in the outlet database
+const WIRE_SERVICES = ['reuters', 'associated press', 'ap', 'afp', 'agence france-presse', 'bloomberg'];
+
+const GOVERNMENT_DOMAIN_PATTERN = /(?:\.gov|\.mil|\.gov\.[a-z]{2}|\.gouv\.[a-z]{2}|(?:^|\.)europa\.eu)$/;
+const ACADEMIC_DOMAIN_PATTERN = /(?:\.edu|\.ac\.[a-z]{2}|(?:^|\.)(?:doi\.org|arxiv\.org|nature\.com|sciencedirect\.com|springer\.com|jstor\.org|thelancet\.com|nejm\.org|pewresearch\.org|ssrn\.com))$/;
+const SOCIAL_DOMAINS = [
+  'twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'youtube.com', 'youtu.be',
+  'tiktok.com', 'threads.net', 'bsky.app', 'linkedin.com', 'reddit.com', 't.me'
+];
+
+// Shares above these are flagged as a sourcing imbalance
+const ANONYMOUS_SHARE_WARNING = 0.3;
+const ONE_SIDED_SHARE_WARNING = 0.8;
+
+const MAX_SOURCE_EXAMPLES = 5;
+
+/**
+ * Puts an outbound link's domain in one of LINK_CATEGORIES
+ * outletsByDomain maps registrable domains to outlet database entries
+ */
+function categorizeLinkDomain(hostname, articleDomain, outletsByDomain = {}) {
+  const host = normalizeHostname(hostname).replace(/^www\./, '');
+  const registrable = getRegistrableDomain(host);
+
+  if (articleDomain && registrable === getRegistrableDomain(articleDomain)) return 'internal';
+  if (outletsByDomain[registrable]) return 'outlet';
+  if (GOVERNMENT_DOMAIN_PATTERN.test(host)) return 'government';
+  if (ACADEMIC_DOMAIN_PATTERN.test(host)) return 'academic';
+  if (SOCIAL_DOMAINS.includes(registrable)) return 'social';
+  return 'other';
+}
+
+/**
+ * Puts one sentence's source in one of SOURCE_CATEGORIES
+ * Returns { category, source } or null when the sentence cites nobody
+ */
+function classifySentenceSource(sentence, outletNames) {
+  const anonymous = ANONYMOUS_SOURCE_PATTERNS.map(pattern => sentence.match(pattern)).find(Boolean);
+  if (anonymous) return { category: 'anonymous', source: anonymous[0] };
+
+  const lowerSentence = sentence.toLowerCase();
+  const dataPhrase = DATA_INDICATORS.find(phrase => lowerSentence.includes(phrase));
+  const data = sentence.match(DATA_SOURCE_PATTERN);
+  if (data || dataPhrase) return { category: 'data', source: data ? data[0] : dataPhrase };
+
+  const sourcing = detectSentenceSourcing(sentence);
+  if (sourcing.status !== 'named') return null;
+
+  const lowerSource = sourcing.source.toLowerCase();
+  if (WIRE_SERVICES.includes(lowerSource) || outletNames.some(name => name === lowerSource || lowerSource === `the ${name}`)) {
+    return { category: 'outlets', source: sourcing.source };
+  }
+
+  // Titles usually sit just before the name ("Sen. Smith", "Defense Secretary Jones")
+  const nameIndex = sentence.indexOf(sourcing.source);
+  const context = sentence.slice(Math.max(0, nameIndex - 40), nameIndex + sourcing.source.length + 40);
+  if (OFFICIAL_PATTERN.test(context)) return { category: 'officials', source: sourcing.source };
+
+  return { category: 'named', source: sourcing.source };
+}
+
+/**
+ * Builds the article's sourcing profile
+ * options.articleDomain marks links to the same site as internal;
+ * options.outletsByDomain maps linked registrable domains to outlet database entries;
+ * options.outletNames are lower-cased outlet names, so "told CNN" counts as another outlet;
+ * options.voices is the quote analysis, used to flag one-sided quoting
+ * Returns { sourcedSentences, sentenceCount, categories, links, signals }
+ */
+function analyzeSourcingProfile(text, links = [], options = {}) {
+  const { articleDomain = '', outletsByDomain = {}, outletNames = [], voices = null } = options;
+  const sentences = splitSentences(text);
+  const categories = {};
+  Object.keys(SOURCE_CATEGORIES).forEach(id => {
+    categories[id] = { id: id, name: SOURCE_CATEGORIES[id], count: 0, sources: [] };
+  });
+
+  let sourcedSentences = 0;
+  sentences.forEach(sentence => {
+    const result = classifySentenceSource(sentence, outletNames);
+    if (!result) return;
+    sourcedSentences++;
+    const category = categories[result.category];
+    category.count++;
+    if (category.sources.length < MAX_SOURCE_EXAMPLES && !category.sources.includes(result.source)) {
+      category.sources.push(result.source);
+    }
+  });
+
+  const linkGroups = {};
+  Object.keys(LINK_CATEGORIES).forEach(id => {
+    linkGroups[id] = { id: id, name: LINK_CATEGORIES[id], count: 0, domains: {} };
+  });
+  const linkedOutletLeans = [];
+  links.forEach(link => {
+    let host;
+    try {
+      host = new URL(link.href).hostname;
+    } catch (e) {
+      return;
+    }
+    const type = categorizeLinkDomain(host, articleDomain, outletsByDomain);
+    const domain = getRegistrableDomain(host);
+    const group = linkGroups[type];
+    group.count++;
+    group.domains[domain] = (group.domains[domain] || 0) + 1;
+    if (type === 'outlet') linkedOutletLeans.push(outletsByDomain[domain].lean);
+  });
+
+  const categoryList = Object.values(categories).map(category => ({
+    ...category,
+    share: sourcedSentences > 0 ? category.count / sourcedSentences : 0
+  }));
+  const linkList = Object.values(linkGroups)
+    .filter(group => group.count > 0)
+    .map(group => ({
+      id: group.id,
+      name: group.name,
+      count: group.count,
+      domains: Object.entries(group.domains)
+        .sort((a, b) => b[1] - a[1])
+        .map(([domain, count]) => ({ domain, count, outlet: outletsByDomain[domain] ? outletsByDomain[domain].name : null }))
+    }));
+
+  return {
+    sourcedSentences: sourcedSentences,
+    sentenceCount: sentences.length,
+    categories: categoryList,
+    links: linkList,
+    signals: getSourcingSignals(categories.anonymous.count, sourcedSentences, linkedOutletLeans, voices)
+  };
+}
+
+/**
+ * Flags sourcing that leans on anonymous sources or on one side of the spectrum
+ * Returns a list of short messages
+ */
+function getSourcingSignals(anonymousCount, sourcedSentences, linkedOutletLeans, voices) {
+  const signals = [];
+
+  if (sourcedSentences === 0) {
+    signals.push('No sentence attributes its information to a source.');
+  } else if (anonymousCount >= 2 && anonymousCount / sourcedSentences >= ANONYMOUS_SHARE_WARNING) {
+    signals.push(`${anonymousCount} of ${sourcedSentences} sourced sentences rely on anonymous sources.`);
+  }
+
+  if (voices) {
+    const liberal = voices.sides.find(side => side.id === 'liberal').quoteCount;
+    const conservative = voices.sides.find(side => side.id === 'conservative').quoteCount;
+    const aligned = liberal + conservative;
+    if (aligned >= 3 && Math.max(liberal, conservative) / aligned >= ONE_SIDED_SHARE_WARNING) {
+      const side = liberal > conservative ? 'liberal' : 'conservative';
+      signals.push(`${Math.max(liberal, conservative)} of ${aligned} quotes from speakers with a known lean come from the ${side} side.`);
+    }
+  }
+
+  const leaning = linkedOutletLeans.filter(lean => Math.abs(lean) >= SIDE_THRESHOLD);
+  if (leaning.length >= 2) {
+    const left = leaning.filter(lean => lean > 0).length;
+    const share = Math.max(left, leaning.length - left) / leaning.length;
+    if (share >= ONE_SIDED_SHARE_WARNING) {
+      signals.push(`Linked outlets with a known lean are mostly ${left > leaning.length - left ? 'liberal' : 'conservative'} (${Math.round(share * 100)}%).`);
+    }
+  }
+
+  return signals;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SOURCE_CATEGORIES,
+    LINK_CATEGORIES,
+    categorizeLinkDomain,
+    classifySentenceSource,
+    analyzeSourcingProfile
+  };
+}
@@ -0,0 +1,321 @@
+/**
+ * Story clustering
+ * Groups analyzed articles that cover the same event, by headline and keyword similarity and the
+ * people and organizations they share, then places each story's coverage on the political spectrum
+ * so the sides the user hasn't read stand out.
+ * Uses NON_NAME_WORDS from utils/claimSourcing.js and splitSentences from utils/vaderSentiment.js:
+ * load them first
+ */
+
+// Common words that say nothing about which event an article covers
+const STORY_STOP_WORDS = new Set([
+  'about', 'above', 'after', 'again', 'against', 'also', 'among', 'another', 'because', 'been', 'before',
+  'being', 'below', 'between', 'both', 'could', 'does', 'doing', 'down', 'during', 'each', 'even', 'every',
+  'first', 'from', 'further', 'have', 'having', 'here', 'into', 'just', 'last', 'like', 'many', 'more',
+  'most', 'much', 'must', 'news', 'next', 'only', 'other', 'over', 'said', 'says', 'same', 'should', 'since',
+  'some', 'still', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'under', 'until', 'very', 'were', 'what', 'when', 'where', 'which', 'while', 'will',
+  'with', 'would', 'year', 'years', 'your', 'the', 'and', 'for', 'are', 'was', 'but', 'not', 'has', 'had',
+  'its', 'his', 'her', 'who', 'how', 'why', 'new', 'one', 'two', 'can', 'may', 'now', 'out', 'all', 'our'
+]);
+
+const MAX_STORY_KEYWORDS = 25;
+const MAX_STORY_ENTITIES = 20;
+
+// Capitalized words and acronyms, runs of them taken as one name ("White House", "Federal Reserve")
+const STORY_ENTITY_PATTERN = /\b(?:[A-Z][a-z][\w'’-]*|[A-Z]{2,})(?:\s+(?:[A-Z][a-z][\w'’-]*|[A-Z]{2,}))*/g;
+
+// How much the headlines, keywords and shared names count towards two articles being the same story
+const STORY_SIMILARITY_WEIGHTS = { title: 0.3, keywords: 0.3, entities: 0.4 };
+const STORY_SIMILARITY_THRESHOLD = 0.3;
+
+// Shared names alone don't make a story: the President or a party leader turns up in most political
+// coverage, so the headlines or keywords have to match too
+const STORY_MIN_TOPIC_SIMILARITY = 0.15;
+
+// Articles published further apart than this cover different events, however similar their wording
+const STORY_MAX_DAYS_APART = 7;
+
+// Articles whose lean is within this distance of zero count as center coverage
+const STORY_SIDE_THRESHOLD = 0.3;
+
+// Same order as the spectrum bar: Liberal on the left
+const STORY_SIDES = {
+  liberal: 'Liberal',
+  center: 'Center',
+  conservative: 'Conservative'
+};
+
+/**
+ * Lowercase content words of a text, without stop words and numbers
+ */
+function tokenizeStoryText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s'-]/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^['-]+|['-]+$/g, '').replace(/'s$/, ''))
+    .filter(word => word.length >= 3 && !STORY_STOP_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * The most frequent entries of a list, most frequent first
+ */
+function getTopTerms(terms, limit) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term]) => term);
+}
+
+/**
+ * Finds the names of people, places and organizations in running text, lowercased
+ * A single capitalized word opening a sentence is usually just the first word, so it is left out;
+ * longer names also count by their last two words, so "Senator Ted Cruz" matches "Ted Cruz"
+ */
+function extractStoryEntities(text) {
+  const entities = [];
+
+  splitSentences(text).forEach(sentence => {
+    let match;
+    STORY_ENTITY_PATTERN.lastIndex = 0;
+    while ((match = STORY_ENTITY_PATTERN.exec(sentence)) !== null) {
+      const words = match[0].split(/\s+/);
+      while (words.length > 0 && NON_NAME_WORDS.includes(words[0])) words.shift();
+      if (words.length === 0) continue;
+      if (words.length === 1 && match.index === sentence.search(/\S/)) continue;
+      entities.push(words.join(' ').toLowerCase());
+      if (words.length > 2) entities.push(words.slice(-2).join(' ').toLowerCase());
+    }
+  });
+
+  return entities;
+}
+
+/**
+ * Keywords and named entities of an article, stored with its analysis for clustering later
+ * Returns { keywords, entities }
+ */
+function extractStoryTerms(text) {
+  return {
+    keywords: getTopTerms(tokenizeStoryText(text), MAX_STORY_KEYWORDS),
+    entities: getTopTerms(extractStoryEntities(text), MAX_STORY_ENTITIES)
+  };
+}
+
+/**
+ * What clustering compares for one analysis
+ * Analyses cached before story terms were stored fall back to the AI summary and claims
+ */
+function getStoryFeatures(analysis) {
+  const metadata = analysis.metadata || {};
+  const terms = analysis.storyTerms || extractStoryTerms(
+    [analysis.neutralSummary, ...(analysis.keyClaims || []).map(claim => claim.claim)].join('\n\n')
+  );
+
+  return {
+    titleWords: new Set(tokenizeStoryText(metadata.title)),
+    keywords: new Set(terms.keywords),
+    entities: new Set(terms.entities),
+    published: Date.parse(metadata.datePublished) || analysis.timestamp || 0
+  };
+}
+
+/**
+ * Number of items two sets have in common
+ */
+function countShared(a, b) {
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return shared;
+}
+
+/**
+ * Inverse document frequency of terms across the analyses being clustered
+ * Terms found in every analysis weigh next to nothing; terms unique to one weigh the most
+ * Returns a function term => weight
+ */
+function getStoryIdf(termSets) {
+  const documentFrequency = new Map();
+  termSets.forEach(terms => {
+    terms.forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  return term => Math.log((termSets.length + 1) / (documentFrequency.get(term) || 1));
+}
+
+/**
+ * Total weight of a set of terms
+ */
+function sumStoryWeights(terms, idf) {
+  let sum = 0;
+  terms.forEach(term => {
+    sum += idf(term);
+  });
+  return sum;
+}
+
+/**
+ * Weight of the shared terms over the weight of all terms; 0 when both sets are empty
+ */
+function jaccardSimilarity(a, b, idf = () => 1) {
+  let shared = 0;
+  a.forEach(term => {
+    if (b.has(term)) shared += idf(term);
+  });
+  const total = sumStoryWeights(a, idf) + sumStoryWeights(b, idf) - shared;
+  return total > 0 ? shared / total : 0;
+}
+
+/**
+ * Shared items over the smaller set, so a short article naming few people isn't penalized
+ */
+function overlapCoefficient(a, b) {
+  const smaller = Math.min(a.size, b.size);
+  return smaller > 0 ? countShared(a, b) / smaller : 0;
+}
+
+/**
+ * Weighted shared names over the smaller article's names, so a short article naming few people
+ * isn't penalized
+ */
+function weightedOverlap(a, b, idf) {
+  let shared = 0;
+  a.forEach(term => {
+    if (b.has(term)) shared += idf(term);
+  });
+  const smaller = Math.min(sumStoryWeights(a, idf), sumStoryWeights(b, idf));
+  return smaller > 0 ? shared / smaller : 0;
+}
+
+/**
+ * How likely two articles are to cover the same event, from 0 to 1
+ * idf holds the term weights of the analyses being clustered ({ titleWords, keywords, entities });
+ * without it every term counts the same
+ */
+function scoreStorySimilarity(a, b, idf = {}) {
+  if (a.published && b.published && Math.abs(a.published - b.published) > STORY_MAX_DAYS_APART * 24 * 60 * 60 * 1000) {
+    return 0;
+  }
+
+  const unweighted = () => 1;
+  const title = jaccardSimilarity(a.titleWords, b.titleWords, idf.titleWords || unweighted);
+  const keywords = jaccardSimilarity(a.keywords, b.keywords, idf.keywords || unweighted);
+  if (Math.max(title, keywords) < STORY_MIN_TOPIC_SIMILARITY) return 0;
+
+  return STORY_SIMILARITY_WEIGHTS.title * title +
+    STORY_SIMILARITY_WEIGHTS.keywords * keywords +
+    STORY_SIMILARITY_WEIGHTS.entities * weightedOverlap(a.entities, b.entities, idf.entities || unweighted);
+}
+
+/**
+ * Which side of the spectrum a lean falls on, or null when it is unknown
+ */
+function getStorySide(lean) {
+  if (typeof lean !== 'number') return null;
+  if (lean > STORY_SIDE_THRESHOLD) return 'liberal';
+  if (lean < -STORY_SIDE_THRESHOLD) return 'conservative';
+  return 'center';
+}
+
+/**
+ * One article's place in a story: the article's own lean score, or its outlet's when it has none
+ */
+function describeStoryArticle(analysis) {
+  const metadata = analysis.metadata || {};
+  const bias = analysis.bias || {};
+  const outlet = bias.outlet || null;
+  const articleLean = typeof bias.score === 'number' ? bias.score : null;
+  const lean = articleLean !== null ? articleLean : (outlet && typeof outlet.lean === 'number' ? outlet.lean : null);
+
+  return {
+    url: metadata.url,
+    title: metadata.title || 'Untitled',
+    domain: metadata.domain || '',
+    outlet: (outlet && outlet.name) || metadata.publisher || metadata.domain || 'Unknown outlet',
+    articleType: metadata.articleType || null,
+    lean: lean,
+    leanSource: articleLean !== null ? 'article' : lean !== null ? 'outlet' : null,
+    side: getStorySide(lean),
+    timestamp: analysis.timestamp || 0
+  };
+}
+
+/**
+ * Groups analyses into stories by average linkage: starting from one story per article, the two
+ * stories whose articles are most similar on average are merged, until no pair passes the threshold.
+ * Unlike joining any two similar articles, this keeps a chain of loosely related articles
+ * (border bill, then tariffs, then a court case) from collapsing into one story
+ * Returns stories with at least minArticles articles, largest first:
+ * [{ id, title, keywords, articles, sides: { liberal, center, conservative }, unreadSides }]
+ */
+function clusterStories(analyses, minArticles = 2) {
+  const features = analyses.map(getStoryFeatures);
+  const idf = {
+    titleWords: getStoryIdf(features.map(feature => feature.titleWords)),
+    keywords: getStoryIdf(features.map(feature => feature.keywords)),
+    entities: getStoryIdf(features.map(feature => feature.entities))
+  };
+
+  // Summed similarity between the articles of each pair of groups
+  const sums = features.map((a, i) => features.map((b, j) => (i === j ? 0 : scoreStorySimilarity(a, b, idf))));
+  const groups = features.map((feature, i) => [i]);
+  const active = new Set(groups.keys());
+
+  while (active.size > 1) {
+    let best = null;
+    active.forEach(i => {
+      active.forEach(j => {
+        if (j <= i) return;
+        const average = sums[i][j] / (groups[i].length * groups[j].length);
+        if (average >= STORY_SIMILARITY_THRESHOLD && (!best || average > best.average)) {
+          best = { i: i, j: j, average: average };
+        }
+      });
+    });
+    if (!best) break;
+
+    groups[best.i].push(...groups[best.j]);
+    active.delete(best.j);
+    active.forEach(k => {
+      sums[best.i][k] += sums[best.j][k];
+      sums[k][best.i] = sums[best.i][k];
+    });
+  }
+
+  return [...active].map(i => groups[i])
+    .filter(members => members.length >= minArticles)
+    .map(members => {
+      const articles = members
+        .map(i => describeStoryArticle(analyses[i]))
+        .sort((a, b) => (b.lean === null ? -2 : b.lean) - (a.lean === null ? -2 : a.lean));
+      const newest = articles.reduce((latest, article) => (article.timestamp > latest.timestamp ? article : latest));
+      const sides = {};
+      Object.keys(STORY_SIDES).forEach(side => {
+        sides[side] = articles.filter(article => article.side === side).length;
+      });
+
+      return {
+        id: articles.map(article => article.url).sort()[0],
+        title: newest.title,
+        keywords: getTopTerms(members.flatMap(i => [...features[i].keywords]), 5),
+        articles: articles,
+        sides: sides,
+        unreadSides: Object.keys(STORY_SIDES).filter(side => sides[side] === 0)
+      };
+    })
+    .sort((a, b) => b.articles.length - a.articles.length);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STORY_SIDES,
+    extractStoryTerms,
+    scoreStorySimilarity,
+    getStorySide,
+    clusterStories
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Token usage accounting
+ * Records tokens per day, per domain and per article in chrome.storage.local,
+ * and checks them against the user's daily and monthly budgets
+ */
+
+const USAGE_STORAGE_KEY = 'echoai_usage';
+const USAGE_RETENTION_DAYS = 90;
+const MAX_ARTICLES_PER_DAY = 200;
+
+// Storage writes are chained so concurrent calls don't overwrite each other's totals
+let usageWriteChain = Promise.resolve();
+
+/**
+ * Returns the local date as YYYY-MM-DD
+ */
+function getUsageDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Normalizes an article URL the same way the analysis cache does (origin + path)
+ */
+function getUsageArticleKey(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.origin + urlObj.pathname;
+  } catch (e) {
+    return url || 'unknown';
+  }
+}
+
+function createEmptyTotals() {
+  return { promptTokens: 0, outputTokens: 0, totalTokens: 0, calls: 0 };
+}
+
+function addToTotals(totals, usage) {
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.outputTokens += usage.outputTokens || 0;
+  totals.totalTokens += usage.totalTokens || 0;
+  totals.calls += 1;
+}
+
+/**
+ * Drops days older than the retention window
+ */
+function pruneUsageDays(days) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - USAGE_RETENTION_DAYS);
+  const cutoffKey = getUsageDayKey(cutoff);
+
+  Object.keys(days).forEach(dayKey => {
+    if (dayKey < cutoffKey) {
+      delete days[dayKey];
+    }
+  });
+}
+
+async function readUsage() {
+  const result = await chrome.storage.local.get(USAGE_STORAGE_KEY);
+  return result[USAGE_STORAGE_KEY] || { days: {} };
+}
+
+/**
+ * Records the tokens used by one LLM call
+ * context holds the article url and domain the call was made for (both optional)
+ */
+function recordTokenUsage(usage, context = {}) {
+  if (!usage) return Promise.resolve();
+
+  usageWriteChain = usageWriteChain.then(async () => {
+    try {
+      const stored = await readUsage();
+      const dayKey = getUsageDayKey();
+      const day = stored.days[dayKey] || { ...createEmptyTotals(), domains: {}, articles: {} };
+
+      addToTotals(day, usage);
+
+      const domain = context.domain || 'other';
+      day.domains[domain] = day.domains[domain] || createEmptyTotals();
+      addToTotals(day.domains[domain], usage);
+
+      if (context.url) {
+        const articleKey = getUsageArticleKey(context.url);
+        if (day.articles[articleKey] || Object.keys(day.articles).length < MAX_ARTICLES_PER_DAY) {
+          day.articles[articleKey] = day.articles[articleKey] || createEmptyTotals();
+          addToTotals(day.articles[articleKey], usage);
+        }
+      }
+
+      stored.days[dayKey] = day;
+      pruneUsageDays(stored.days);
+      await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: stored });
+    } catch (error) {
+      console.error('Error recording token usage:', error);
+    }
+  });
+
+  return usageWriteChain;
+}
+
+/**
+ * Reads the configured budgets and pricing
+ * Budgets are token counts; null means no limit
+ */
+async function getUsageSettings() {
+  const result = await chrome.storage.local.get(['tokenBudget', 'tokenPricing']);
+  const budget = result.tokenBudget || {};
+  const pricing = result.tokenPricing || {};
+
+  return {
+    dailyLimit: budget.daily > 0 ? budget.daily : null,
+    monthlyLimit: budget.monthly > 0 ? budget.monthly : null,
+    inputPricePerMillion: pricing.inputPerMillion > 0 ? pricing.inputPerMillion : 0,
+    outputPricePerMillion: pricing.outputPerMillion > 0 ? pricing.outputPerMillion : 0
+  };
+}
+
+/**
+ * Estimates the cost of a totals object from the user's per-million-token prices
+ */
+function estimateUsageCost(totals, settings) {
+  return (totals.promptTokens * settings.inputPricePerMillion +
+    totals.outputTokens * settings.outputPricePerMillion) / 1000000;
+}
+
+/**
+ * Sums a set of per-key totals (domains or articles) across days
+ */
+function mergeTotalsByKey(days, field) {
+  const merged = {};
+  days.forEach(day => {
+    Object.entries(day[field] || {}).forEach(([key, totals]) => {
+      merged[key] = merged[key] || createEmptyTotals();
+      merged[key].promptTokens += totals.promptTokens;
+      merged[key].outputTokens += totals.outputTokens;
+      merged[key].totalTokens += totals.totalTokens;
+      merged[key].calls += totals.calls;
+    });
+  });
+  return merged;
+}
+
+function topEntries(totalsByKey, limit) {
+  return Object.entries(totalsByKey)
+    .sort((a, b) => b[1].totalTokens - a[1].totalTokens)
+    .slice(0, limit)
+    .map(([key, totals]) => ({ key, ...totals }));
+}
+
+/**
+ * Builds the usage dashboard data: today, this month, top domains and articles,
+ * and where each total stands against its budget
+ */
+async function getUsageSummary() {
+  const [stored, settings] = await Promise.all([readUsage(), getUsageSettings()]);
+  const todayKey = getUsageDayKey();
+  const monthPrefix = todayKey.substring(0, 7);
+
+  const today = stored.days[todayKey] || { ...createEmptyTotals(), domains: {}, articles: {} };
+  const monthDays = Object.entries(stored.days)
+    .filter(([dayKey]) => dayKey.startsWith(monthPrefix))
+    .map(([, day]) => day);
+
+  const month = createEmptyTotals();
+  monthDays.forEach(day => {
+    month.promptTokens += day.promptTokens;
+    month.outputTokens += day.outputTokens;
+    month.totalTokens += day.totalTokens;
+    month.calls += day.calls;
+  });
+
+  return {
+    today: {
+      promptTokens: today.promptTokens,
+      outputTokens: today.outputTokens,
+      totalTokens: today.totalTokens,
+      calls: today.calls,
+      cost: estimateUsageCost(today, settings),
+      limit: settings.dailyLimit
+    },
+    month: {
+      ...month,
+      cost: estimateUsageCost(month, settings),
+      limit: settings.monthlyLimit
+    },
+    topDomains: topEntries(mergeTotalsByKey(monthDays, 'domains'), 5),
+    topArticles: topEntries(mergeTotalsByKey(monthDays, 'articles'), 5),
+    settings: settings
+  };
+}
+
+/**
+ * Checks whether today's or this month's usage has reached its budget
+ */
+async function checkTokenBudget() {
+  // Calls that just finished may still be writing their tokens
+  await usageWriteChain;
+  const summary = await getUsageSummary();
+
+  if (summary.today.limit && summary.today.totalTokens >= summary.today.limit) {
+    return { exceeded: true, period: 'daily', used: summary.today.totalTokens, limit: summary.today.limit };
+  }
+  if (summary.month.limit && summary.month.totalTokens >= summary.month.limit) {
+    return { exceeded: true, period: 'monthly', used: summary.month.totalTokens, limit: summary.month.limit };
+  }
+
+  return { exceeded: false };
+}
+
+/**
+ * Removes all recorded usage
+ */
+async function clearTokenUsage() {
+  await usageWriteChain;
+  await chrome.storage.local.remove(USAGE_STORAGE_KEY);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    recordTokenUsage,
+    getUsageSummary,
+    checkTokenBudget,
+    clearTokenUsage,
+    getUsageDayKey
+  };
+}
@@ -0,0 +1,375 @@
+/**
+ * VADER sentiment analysis
+ * Port of VADER (Hutto & Gilbert, 2014): lexicon valence adjusted for boosters and dampeners,
+ * negation, ALL-CAPS emphasis, "but" clauses, idioms and punctuation emphasis.
+ * Requires utils/vaderLexicon.js to be loaded first (it defines VADER_LEXICON)
+ */
+
+// Empirically derived intensity changes from the VADER paper
+const VADER_BOOSTER_INCREMENT = 0.293;
+const VADER_BOOSTER_DECREMENT = -0.293;
+const VADER_CAPS_INCREMENT = 0.733;
+const VADER_NEGATION_SCALAR = -0.74;
+const VADER_NORMALIZE_ALPHA = 15;
+
+// Sentences at or above this absolute compound score count as emotionally charged
+const VADER_CHARGED_THRESHOLD = 0.5;
+
+const VADER_PUNCTUATION = `!"#$%&'()*+,-./:;<=>?@[\\]^_\`{|}~`;
+
+const VADER_NEGATIONS = [
+  'aint', 'arent', 'cannot', 'cant', 'couldnt', 'darent', 'didnt', 'doesnt',
+  "ain't", "aren't", "can't", "couldn't", "daren't", "didn't", "doesn't",
+  'dont', 'hadnt', 'hasnt', 'havent', 'isnt', 'mightnt', 'mustnt', 'neither',
+  "don't", "hadn't", "hasn't", "haven't", "isn't", "mightn't", "mustn't",
+  'neednt', "needn't", 'never', 'none', 'nope', 'nor', 'not', 'nothing', 'nowhere',
+  'oughtnt', 'shant', 'shouldnt', 'uhuh', 'wasnt', 'werent',
+  "oughtn't", "shan't", "shouldn't", 'uh-uh', "wasn't", "weren't",
+  'without', 'wont', 'wouldnt', "won't", "wouldn't", 'rarely', 'seldom', 'despite'
+];
+
+// Degree adverbs that boost or dampen the word they modify
+const VADER_BOOSTERS = {};
+[
+  'absolutely', 'amazingly', 'awfully', 'completely', 'considerable', 'considerably',
+  'decidedly', 'deeply', 'effing', 'enormous', 'enormously', 'entirely', 'especially',
+  'exceptional', 'exceptionally', 'extreme', 'extremely', 'fabulously', 'flipping',
+  'flippin', 'frackin', 'fracking', 'fricking', 'frickin', 'frigging', 'friggin', 'fully',
+  'fuckin', 'fucking', 'fuggin', 'fugging', 'greatly', 'hella', 'highly', 'hugely',
+  'incredible', 'incredibly', 'intensely', 'major', 'majorly', 'more', 'most',
+  'particularly', 'purely', 'quite', 'really', 'remarkably', 'so', 'substantially',
+  'thoroughly', 'total', 'totally', 'tremendous', 'tremendously', 'uber', 'unbelievably',
+  'unusually', 'utter', 'utterly', 'very'
+].forEach(word => { VADER_BOOSTERS[word] = VADER_BOOSTER_INCREMENT; });
+[
+  'almost', 'barely', 'hardly', 'just enough', 'kind of', 'kinda', 'kindof', 'kind-of',
+  'less', 'little', 'marginal', 'marginally', 'occasional', 'occasionally', 'partly',
+  'scarce', 'scarcely', 'slight', 'slightly', 'somewhat', 'sort of', 'sorta', 'sortof', 'sort-of'
+].forEach(word => { VADER_BOOSTERS[word] = VADER_BOOSTER_DECREMENT; });
+
+// Multi-word expressions whose sentiment differs from their parts
+const VADER_IDIOMS = {
+  'the shit': 3,
+  'the bomb': 3,
+  'bad ass': 1.5,
+  'badass': 1.5,
+  'bus stop': 0.0,
+  'yeah right': -2,
+  'kiss of death': -1.5,
+  'to die for': 3,
+  'beating heart': 3.1,
+  'broken heart': -2.9
+};
+
+/**
+ * Python-style isupper: at least one upper-case letter and no lower-case ones
+ */
+function isAllCaps(word) {
+  return /[A-Z]/.test(word) && !/[a-z]/.test(word);
+}
+
+/**
+ * Strips surrounding punctuation from a token unless that leaves two characters or fewer,
+ * which keeps emoticons such as ":)" and ":D" intact
+ */
+function stripTokenPunctuation(token) {
+  let start = 0;
+  let end = token.length;
+  while (start < end && VADER_PUNCTUATION.includes(token[start])) start++;
+  while (end > start && VADER_PUNCTUATION.includes(token[end - 1])) end--;
+  const stripped = token.slice(start, end);
+  return stripped.length <= 2 ? token : stripped;
+}
+
+/**
+ * True when any of the words is a negation or a contraction ending in n't
+ */
+function isNegated(words) {
+  return words.some(word => {
+    const lower = word.toLowerCase();
+    return VADER_NEGATIONS.includes(lower) || lower.includes("n't");
+  });
+}
+
+/**
+ * Squashes a summed valence into -1..1
+ */
+function normalizeVaderScore(score, alpha = VADER_NORMALIZE_ALPHA) {
+  const normalized = score / Math.sqrt(score * score + alpha);
+  return Math.max(-1, Math.min(1, normalized));
+}
+
+/**
+ * How much a preceding booster or dampener word changes the valence
+ */
+function getBoosterScalar(word, valence, isCapDifferential) {
+  const scalar = VADER_BOOSTERS[word.toLowerCase()];
+  if (scalar === undefined) return 0;
+
+  let result = valence < 0 ? -scalar : scalar;
+  if (isCapDifferential && isAllCaps(word)) {
+    result += valence > 0 ? VADER_CAPS_INCREMENT : -VADER_CAPS_INCREMENT;
+  }
+  return result;
+}
+
+/**
+ * Applies negation found one to three words before the lexicon word
+ * "never so/this" intensifies instead of negating, and "without doubt" is left alone
+ */
+function applyNegation(valence, lowerWords, distance, i) {
+  const before = offset => lowerWords[i - offset];
+
+  if (distance === 0) {
+    return isNegated([before(1)]) ? valence * VADER_NEGATION_SCALAR : valence;
+  }
+
+  if (distance === 1) {
+    if (before(2) === 'never' && (before(1) === 'so' || before(1) === 'this')) return valence * 1.25;
+    if (before(2) === 'without' && before(1) === 'doubt') return valence;
+    return isNegated([before(2)]) ? valence * VADER_NEGATION_SCALAR : valence;
+  }
+
+  if ((before(3) === 'never' && (before(2) === 'so' || before(2) === 'this')) ||
+      before(1) === 'so' || before(1) === 'this') {
+    return valence * 1.25;
+  }
+  if (before(3) === 'without' && (before(2) === 'doubt' || before(1) === 'doubt')) return valence;
+  return isNegated([before(3)]) ? valence * VADER_NEGATION_SCALAR : valence;
+}
+
+/**
+ * Replaces the valence when the word is part of a known idiom, and applies booster bigrams
+ */
+function applyIdioms(valence, lowerWords, i) {
+  const w = offset => lowerWords[i + offset];
+  const preceding = [
+    `${w(-1)} ${w(0)}`,
+    `${w(-2)} ${w(-1)} ${w(0)}`,
+    `${w(-2)} ${w(-1)}`,
+    `${w(-3)} ${w(-2)} ${w(-1)}`,
+    `${w(-3)} ${w(-2)}`
+  ];
+
+  const idiom = preceding.find(sequence => VADER_IDIOMS[sequence] !== undefined);
+  if (idiom) valence = VADER_IDIOMS[idiom];
+
+  if (i < lowerWords.length - 1 && VADER_IDIOMS[`${w(0)} ${w(1)}`] !== undefined) {
+    valence = VADER_IDIOMS[`${w(0)} ${w(1)}`];
+  }
+  if (i < lowerWords.length - 2 && VADER_IDIOMS[`${w(0)} ${w(1)} ${w(2)}`] !== undefined) {
+    valence = VADER_IDIOMS[`${w(0)} ${w(1)} ${w(2)}`];
+  }
+
+  // Booster and dampener bigrams such as "sort of" and "kind of"
+  [`${w(-3)} ${w(-2)} ${w(-1)}`, `${w(-3)} ${w(-2)}`, `${w(-2)} ${w(-1)}`].forEach(ngram => {
+    if (VADER_BOOSTERS[ngram] !== undefined) valence += VADER_BOOSTERS[ngram];
+  });
+
+  return valence;
+}
+
+/**
+ * Negation with "least": "least happy" flips, "at least" and "very least" do not
+ */
+function applyLeastCheck(valence, lowerWords, i) {
+  if (i > 0 && lowerWords[i - 1] === 'least' && VADER_LEXICON[lowerWords[i - 1]] === undefined) {
+    if (i === 1 || (lowerWords[i - 2] !== 'at' && lowerWords[i - 2] !== 'very')) {
+      return valence * VADER_NEGATION_SCALAR;
+    }
+  }
+  return valence;
+}
+
+/**
+ * Valence of the word at position i, after every rule that depends on its neighbours
+ */
+function getWordValence(words, lowerWords, i, isCapDifferential) {
+  const lower = lowerWords[i];
+  if (!Object.prototype.hasOwnProperty.call(VADER_LEXICON, lower)) return 0;
+
+  let valence = VADER_LEXICON[lower];
+
+  // "no" before another sentiment word is a negation, not a negative word itself
+  if (lower === 'no' && i < words.length - 1 &&
+      Object.prototype.hasOwnProperty.call(VADER_LEXICON, lowerWords[i + 1])) {
+    valence = 0;
+  }
+  if ((i > 0 && lowerWords[i - 1] === 'no') ||
+      (i > 1 && lowerWords[i - 2] === 'no') ||
+      (i > 2 && lowerWords[i - 3] === 'no' && (lowerWords[i - 1] === 'or' || lowerWords[i - 1] === 'nor'))) {
+    valence = VADER_LEXICON[lower] * VADER_NEGATION_SCALAR;
+  }
+
+  if (isCapDifferential && isAllCaps(words[i])) {
+    valence += valence > 0 ? VADER_CAPS_INCREMENT : -VADER_CAPS_INCREMENT;
+  }
+
+  for (let distance = 0; distance < 3; distance++) {
+    const precedingIndex = i - (distance + 1);
+    if (precedingIndex < 0 || Object.prototype.hasOwnProperty.call(VADER_LEXICON, lowerWords[precedingIndex])) {
+      continue;
+    }
+
+    // Boosters further from the word count for less
+    let scalar = getBoosterScalar(words[precedingIndex], valence, isCapDifferential);
+    if (distance === 1) scalar *= 0.95;
+    if (distance === 2) scalar *= 0.9;
+
+    valence = applyNegation(valence + scalar, lowerWords, distance, i);
+    if (distance === 2) {
+      valence = applyIdioms(valence, lowerWords, i);
+    }
+  }
+
+  return applyLeastCheck(valence, lowerWords, i);
+}
+
+/**
+ * Extra emphasis from exclamation marks (up to four) and repeated question marks
+ */
+function getPunctuationEmphasis(text) {
+  const exclamations = Math.min((text.match(/!/g) || []).length, 4);
+  const questions = (text.match(/\?/g) || []).length;
+
+  let questionEmphasis = 0;
+  if (questions > 1) {
+    questionEmphasis = questions <= 3 ? questions * 0.18 : 0.96;
+  }
+
+  return exclamations * 0.292 + questionEmphasis;
+}
+
+/**
+ * Scores one sentence
+ * Returns { neg, neu, pos, compound } like VADER's polarity_scores
+ */
+function getVaderPolarityScores(sentence) {
+  const words = String(sentence || '').split(/\s+/).filter(Boolean).map(stripTokenPunctuation);
+  const lowerWords = words.map(word => word.toLowerCase());
+
+  // Caps only count as emphasis when some, but not all, words are in caps
+  const capsCount = words.filter(isAllCaps).length;
+  const isCapDifferential = capsCount > 0 && capsCount < words.length;
+
+  const sentiments = words.map((word, i) => {
+    const lower = lowerWords[i];
+    if (VADER_BOOSTERS[lower] !== undefined) return 0;
+    if (lower === 'kind' && lowerWords[i + 1] === 'of') return 0;
+    return getWordValence(words, lowerWords, i, isCapDifferential);
+  });
+
+  // "but" shifts the weight to the clause after it
+  const butIndex = lowerWords.indexOf('but');
+  if (butIndex !== -1) {
+    sentiments.forEach((value, i) => {
+      if (i < butIndex) sentiments[i] = value * 0.5;
+      else if (i > butIndex) sentiments[i] = value * 1.5;
+    });
+  }
+
+  if (sentiments.length === 0) {
+    return { neg: 0, neu: 0, pos: 0, compound: 0 };
+  }
+
+  let sum = sentiments.reduce((total, value) => total + value, 0);
+  const emphasis = getPunctuationEmphasis(sentence);
+  if (sum > 0) sum += emphasis;
+  else if (sum < 0) sum -= emphasis;
+
+  // Positive and negative sums, each word offset by 1 to account for neutral words
+  let positive = 0;
+  let negative = 0;
+  let neutral = 0;
+  sentiments.forEach(value => {
+    if (value > 0) positive += value + 1;
+    else if (value < 0) negative += value - 1;
+    else neutral++;
+  });
+
+  if (positive > Math.abs(negative)) positive += emphasis;
+  else if (positive < Math.abs(negative)) negative -= emphasis;
+
+  const total = positive + Math.abs(negative) + neutral;
+  return {
+    neg: Math.round(Math.abs(negative / total) * 1000) / 1000,
+    neu: Math.round(Math.abs(neutral / total) * 1000) / 1000,
+    pos: Math.round(Math.abs(positive / total) * 1000) / 1000,
+    compound: Math.round(normalizeVaderScore(sum) * 10000) / 10000
+  };
+}
+
+// Abbreviations whose period doesn't end a sentence ("Sen. Smith", "the U.S. economy")
+const SENTENCE_ABBREVIATIONS = [
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sen', 'rep', 'gov', 'gen', 'col', 'lt', 'sgt', 'capt',
+  'st', 'jr', 'sr', 'inc', 'corp', 'co', 'ltd', 'vs', 'no', 'u.s', 'u.k', 'u.n', 'e.g', 'i.e'
+];
+
+/**
+ * Splits text into sentences, keeping their closing punctuation and quotes
+ * A blank line also ends a sentence, so headings and captions without punctuation stand alone
+ * Other analyzers use this too, so sentences line up across analyses
+ */
+function splitSentences(text) {
+  const source = String(text || '');
+  const endings = /[.!?]+["'”’)]*(?=\s|$)|\n\s*\n/g;
+  const sentences = [];
+  let start = 0;
+  let match;
+
+  while ((match = endings.exec(source)) !== null) {
+    if (match[0][0] === '.' && match[0].length === 1) {
+      const lastWord = (source.slice(start, match.index).match(/([A-Za-z.]+)$/) || [])[1] || '';
+      if (SENTENCE_ABBREVIATIONS.includes(lastWord.toLowerCase()) || /^[A-Z]$/.test(lastWord)) {
+        continue;
+      }
+    }
+    const end = match.index + match[0].length;
+    sentences.push(source.slice(start, end));
+    start = end;
+  }
+  sentences.push(source.slice(start));
+
+  return sentences
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[a-z]/i.test(sentence));
+}
+
+/**
+ * Scores every sentence of a longer text
+ * polarity is the mean compound score; intensity is the mean absolute compound score,
+ * so strongly positive and strongly negative writing both read as intense
+ */
+function analyzeVaderSentiment(text) {
+  const sentences = splitSentences(text);
+
+  if (sentences.length === 0) {
+    return { polarity: 0, intensity: 0, chargedSentences: 0, sentenceCount: 0, sentences: [] };
+  }
+
+  const scored = sentences.map(sentence => ({
+    text: sentence,
+    ...getVaderPolarityScores(sentence)
+  }));
+
+  const polarity = scored.reduce((sum, s) => sum + s.compound, 0) / scored.length;
+  const intensity = scored.reduce((sum, s) => sum + Math.abs(s.compound), 0) / scored.length;
+
+  return {
+    polarity: polarity,
+    intensity: intensity,
+    chargedSentences: scored.filter(s => Math.abs(s.compound) >= VADER_CHARGED_THRESHOLD).length,
+    sentenceCount: scored.length,
+    sentences: scored
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VADER_CHARGED_THRESHOLD,
+    getVaderPolarityScores,
+    splitSentences,
+    analyzeVaderSentiment,
+    normalizeVaderScore
+  };
+}
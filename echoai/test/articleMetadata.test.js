@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers/loadScripts.js';
+
+const context = loadScripts(['utils/articleMetadata.js']);
+
+function typeFromUrl(url, isArticle = true) {
+  return plain(context.detectArticleType(null, '', url, isArticle));
+}
+
+test('a label directory in the URL sets the article type', () => {
+  assert.deepEqual(typeFromUrl('https://news.example/opinion/the-court-got-it-wrong'), { type: 'opinion', source: 'url' });
+  assert.deepEqual(typeFromUrl('https://news.example/2026/10/op-ed/why-the-bill-fails/'), { type: 'opinion', source: 'url' });
+  assert.deepEqual(typeFromUrl('https://news.example/news_analysis/what-the-ruling-means'), { type: 'analysis', source: 'url' });
+});
+
+test('label words in the headline slug or inside a longer directory name are ignored', () => {
+  assert.deepEqual(typeFromUrl('https://news.example/politics/supreme-court-opinion-chevron'), { type: 'news', source: 'default' });
+  assert.deepEqual(typeFromUrl('https://news.example/news/post-office-letters-delayed'), { type: 'news', source: 'default' });
+  assert.deepEqual(typeFromUrl('https://news.example/opinion-polls/voters-split-on-budget'), { type: 'news', source: 'default' });
+  assert.deepEqual(typeFromUrl('https://news.example/explained', false), { type: null, source: null });
+});
+
+test('the schema.org type and section take precedence over the URL', () => {
+  assert.deepEqual(plain(context.detectArticleType('analysis', 'Opinion', 'https://news.example/opinion/a', true)), { type: 'analysis', source: 'schema' });
+  assert.deepEqual(plain(context.detectArticleType(null, 'Letters to the Editor', 'https://news.example/news/a', true)), { type: 'opinion', source: 'section' });
+});
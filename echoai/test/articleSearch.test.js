@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain, readExtensionFile, readGlobal } from './helpers/loadScripts.js';
+
+// chrome.runtime.getURL maps to the extension directory, so bundled data loads from disk
+const context = loadScripts([
+  'utils/vaderLexicon.js',
+  'utils/vaderSentiment.js',
+  'utils/claimSourcing.js',
+  'utils/storyClustering.js',
+  'utils/feedParser.js',
+  'utils/outletDatabase.js',
+  'utils/feedIndex.js',
+  'utils/articleSearch.js'
+], {
+  fetch: async file => new Response(readExtensionFile(file.replace(/^.*\/extension\//, '')))
+});
+
+const FEEDS = [
+  { url: 'data/feeds/sample-conservative.xml', lean: -0.8 },
+  { url: 'data/feeds/sample-liberal.xml', lean: 0.8 }
+];
+
+const ARTICLE_TEXT = 'The Senate border security bill would raise the standard for asylum screenings and fund more border agents, immigrant advocates warned on Tuesday. Families seeking asylum at the southern border would wait longer under the bill.';
+const ARTICLE_METADATA = {
+  url: 'https://www.theguardian.com/us-news/border-bill-strand-families',
+  domain: 'www.theguardian.com',
+  title: 'Border bill asylum limits would strand families'
+};
+
+// Candidates as the rss provider returns them: the bundled feeds indexed and searched by TF-IDF
+function searchBundledFeeds(query) {
+  const items = context.mergeFeedItems(FEEDS.flatMap(feed => {
+    const parsed = context.parseFeed(readExtensionFile(feed.url), 'https://feeds.example/');
+    return parsed.items.map(item => ({
+      ...item,
+      feedUrl: feed.url,
+      feedName: parsed.title,
+      terms: context.tokenizeStoryText(`${item.title} ${item.title} ${item.snippet}`)
+    }));
+  }), FEEDS);
+
+  return context.scoreFeedItems(query.terms, items).map(({ item, score }) => ({
+    ...item,
+    matchScore: score,
+    provider: 'rss'
+  }));
+}
+
+async function searchFixtures() {
+  return (await readGlobal(context, 'ARTICLE_SEARCH_PROVIDERS').fixture.search()).map(candidate => ({ ...candidate, provider: 'fixture' }));
+}
+
+test('feed articles across the spectrum rank above same-side ones, with the reasons why', async () => {
+  const query = context.buildArticleSearchQuery(ARTICLE_TEXT, ARTICLE_METADATA);
+  const ranked = plain(await context.rankOpposingArticles(searchBundledFeeds(query), query, ARTICLE_METADATA, 0.7));
+
+  assert.deepEqual(ranked.map(article => [article.source, article.lean]), [
+    ['Sample Right Ledger', -0.8],
+    ['Sample Left Review', 0.8]
+  ]);
+  assert.deepEqual(ranked[0].reasons, [
+    'Same topic: mentions "border", "bill", "asylum", "limits" like this article',
+    'Sample Right Ledger is tagged conservative (-0.8) in your feed list, across the spectrum from this article\'s liberal (0.7)',
+    'Found via Your feeds (TF-IDF match 0.41)'
+  ]);
+  assert.equal(ranked[1].reasons[1], 'Sample Left Review is tagged liberal (0.8) in your feed list, on the same side as this article\'s liberal (0.7)');
+});
+
+test('off-topic articles and the article\'s own outlet are left out', async () => {
+  const query = context.buildArticleSearchQuery(ARTICLE_TEXT, ARTICLE_METADATA);
+  const candidates = [...searchBundledFeeds(query), ...await searchFixtures()];
+  const ranked = plain(await context.rankOpposingArticles(candidates, query, ARTICLE_METADATA, 0.7));
+
+  assert.equal(ranked.length, 5);
+  assert.ok(ranked.every(article => /border/i.test(article.title)), 'every recommendation covers the border bill');
+  assert.ok(ranked.every(article => !article.url.includes('theguardian.com')));
+  assert.ok(ranked.every((article, i) => i === 0 || article.score <= ranked[i - 1].score));
+
+  const fox = ranked.find(article => article.source === 'Fox News');
+  assert.equal(fox.reasons[1], 'Fox News is rated conservative (-0.8), across the spectrum from this article\'s liberal (0.7)');
+  assert.equal(fox.reasons[2], 'Found via Local fixtures');
+  assert.ok(fox.score > ranked.find(article => article.source === 'Sample Left Review').score);
+});
@@ -0,0 +1,241 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { loadScripts, plain } from './helpers/loadScripts.js';
+
+const ARTICLE_URL = 'https://news.example/politics/budget-vote';
+
+function pageAnalysis(url, title) {
+  return {
+    metadata: { url: url, title: title, domain: new URL(url).hostname },
+    neutralSummary: `${title}.`,
+    keyClaims: [{ claim: `${title} passed.` }],
+    loadedLanguage: [],
+    timestamp: Date.now()
+  };
+}
+
+test('editing one prompt leaves cached results made with the other prompts reachable', async () => {
+  const context = loadScripts(['background.js']);
+  await context.setCachedAnalysis(ARTICLE_URL, pageAnalysis(ARTICLE_URL, 'Budget vote'));
+  await context.setCachedAnalysis(ARTICLE_URL, { framingDiff: {} }, 'compare:abc123');
+
+  await context.savePromptTemplate('framingDiff', 'Compare {{articleA}} with {{articleB}}.');
+  assert.equal((await context.getCachedAnalysis(ARTICLE_URL)).metadata.title, 'Budget vote');
+  assert.equal((await context.listCachedAnalyses()).length, 1);
+  assert.equal(await context.getCachedAnalysis(ARTICLE_URL, 'compare:abc123'), null);
+
+  await context.savePromptTemplate('passage', 'Analyze {{articleText}}.');
+  assert.equal((await context.listCachedAnalyses()).length, 1);
+
+  await context.savePromptTemplate('reduce', 'Combine {{sectionSummaries}}.');
+  assert.equal(await context.getCachedAnalysis(ARTICLE_URL), null);
+  assert.equal((await context.listCachedAnalyses()).length, 0);
+});
+
+test('the framing diff is cached only when neither side is an incognito tab', async () => {
+  const context = loadScripts(['background.js']);
+  const tabs = {
+    1: { id: 1, url: ARTICLE_URL, title: 'Budget vote', incognito: false },
+    2: { id: 2, url: 'https://other.example/budget', title: 'Budget fight', incognito: true }
+  };
+  context.chrome.tabs.get = async tabId => tabs[tabId];
+  context.callLLMForJson = async () => ({ sharedFacts: [], differences: [] });
+  await context.setCachedAnalysis(tabs[1].url, pageAnalysis(tabs[1].url, tabs[1].title));
+  await context.setCachedAnalysis(tabs[2].url, pageAnalysis(tabs[2].url, tabs[2].title));
+
+  const countComparisons = () => Object.keys(context.chrome.stored).filter(key => key.includes('compare:')).length;
+
+  const comparison = await context.compareArticles({ type: 'tab', tabId: 1 }, { type: 'tab', tabId: 2 });
+  assert.deepEqual(plain(comparison.framingDiff), { sharedFacts: [], differences: [] });
+  assert.equal(countComparisons(), 0);
+
+  tabs[2].incognito = false;
+  await context.compareArticles({ type: 'tab', tabId: 1 }, { type: 'tab', tabId: 2 });
+  assert.equal(countComparisons(), 1);
+});
+
+test('long articles are split into no more sections than the chunk budget', () => {
+  const context = loadScripts(['background.js']);
+  const sentences = Array.from({ length: 140 }, (_, i) => `Sentence ${i + 1} of the budget debate ran ${'long '.repeat(20 + (i * 7) % 31)}before ending.`);
+  const text = sentences.join(' ');
+
+  [6, 3, 2].forEach(budget => {
+    const sections = context.splitIntoSections(text, budget);
+    assert.ok(sections.length <= budget, `${sections.length} sections for a budget of ${budget}`);
+    assert.equal(sections[0].start, 0);
+    assert.equal(sections[sections.length - 1].end, text.length);
+    assert.equal(sections.map(section => section.text).join(' '), text);
+  });
+});
+
+test('API keys are kept per provider and a blank key never replaces a saved one', async () => {
+  const requests = [];
+  const context = loadScripts(['background.js'], {
+    fetch: async (url, init) => {
+      requests.push({ url: url, headers: init.headers });
+      return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content: 'API test successful' } }] }) };
+    }
+  });
+  context.chrome.stored.geminiApiKey = 'gemini-secret';
+  await context.migrateLegacyApiKey();
+  assert.deepEqual(plain(context.chrome.stored.apiKeys), { gemini: 'gemini-secret' });
+  assert.equal(context.chrome.stored.geminiApiKey, undefined);
+
+  const local = await context.testLlmConnection({ provider: 'local', baseUrl: 'http://llm.example:8080' });
+  assert.equal(local.success, true);
+  assert.equal(requests[0].headers.Authorization, undefined);
+
+  const openai = await context.testLlmConnection({ provider: 'openai', baseUrl: 'https://llm.example/v1' });
+  assert.equal(openai.success, false);
+  assert.equal(requests.length, 1);
+
+  await context.storeApiKey('openai', 'openai-secret');
+  await context.storeApiKey('gemini', '  ');
+  assert.deepEqual(plain(context.chrome.stored.apiKeys), { gemini: 'gemini-secret', openai: 'openai-secret' });
+
+  context.chrome.stored.llmProvider = 'openai';
+  assert.equal((await context.getLlmSettings()).apiKey, 'openai-secret');
+});
+
+// A local provider that answers every prompt with fields covering each analysis schema,
+// at 1,000 tokens a call; extension files are read from disk and other requests fail
+function createLlmStub() {
+  const calls = [];
+  const answer = JSON.stringify({
+    neutralSummary: 'The council voted on the budget.',
+    opposingViewpoint: 'Critics say the budget cuts too deep.',
+    biasRationale: 'Neutral wording.',
+    summary: 'The council voted on the budget.',
+    keyClaims: [],
+    loadedLanguage: [],
+    summarySections: [1],
+    opposingSections: [1]
+  });
+  const usage = { prompt_tokens: 800, completion_tokens: 200, total_tokens: 1000 };
+
+  const fetch = async (url, init = {}) => {
+    if (String(url).startsWith('/')) {
+      return new Response(await fs.readFile(url, 'utf8'), { status: 200 });
+    }
+    if (!String(url).includes('/chat/completions')) {
+      return new Response('Not found', { status: 404 });
+    }
+    calls.push(JSON.parse(init.body));
+    if (JSON.parse(init.body).stream) {
+      const events = [
+        { choices: [{ delta: { content: answer } }] },
+        { choices: [], usage: usage }
+      ];
+      return new Response(events.map(event => `data: ${JSON.stringify(event)}\n\n`).join(''), { status: 200 });
+    }
+    return new Response(JSON.stringify({ choices: [{ message: { content: answer } }], usage: usage }), { status: 200 });
+  };
+  return { calls, fetch };
+}
+
+function loadWithLlmStub(stored, globals = {}) {
+  const llm = createLlmStub();
+  const context = loadScripts(['background.js'], { fetch: llm.fetch, TextDecoder: TextDecoder, ...globals });
+  Object.assign(context.chrome.stored, { llmProvider: 'local', privacySettings: { excludeIncognito: false } }, stored);
+  return { context, calls: llm.calls };
+}
+
+const BUDGET_ARTICLE = Array.from({ length: 60 }, (_, i) => `The city council debated line ${i + 1} of the budget for most of the evening before moving on to the next item.`).join(' ');
+
+test('incognito analyses count their tokens without the page URL or domain', async () => {
+  const { context, calls } = loadWithLlmStub({});
+  const metadata = { url: 'https://news.example/politics/budget-vote', domain: 'news.example', title: 'Budget vote' };
+  await context.runAnalysis({ text: BUDGET_ARTICLE.slice(0, 1200), metadata: metadata, incognito: true }, () => {});
+
+  assert.ok(calls.length > 0);
+  const [day] = Object.values(context.chrome.stored.echoai_usage.days);
+  assert.equal(day.totalTokens, calls.length * 1000);
+  assert.deepEqual(Object.keys(day.domains), ['other']);
+  assert.deepEqual(plain(day.articles), {});
+});
+
+test('long articles check the token budget again before each section', async () => {
+  const { context, calls } = loadWithLlmStub({ chunkBudget: 4, tokenBudget: { daily: 1500, monthly: null } });
+  const metadata = { url: 'https://news.example/politics/budget-vote', domain: 'news.example', title: 'Budget vote' };
+  const analysis = await context.runAnalysis({ text: BUDGET_ARTICLE, metadata: metadata }, () => {});
+
+  // Two sections run side by side under the budget; the rest are stopped once it is spent
+  assert.equal(calls.length, 2);
+  assert.equal(analysis.budgetExceeded.period, 'daily');
+  assert.equal(analysis.budgetExceeded.used, 2000);
+});
+
+test('identical calls that stream or count tokens each get their own request', async () => {
+  const { context, calls } = loadWithLlmStub({});
+  const totals = () => ({ totals: { promptTokens: 0, outputTokens: 0, totalTokens: 0, calls: 0 } });
+  const first = totals();
+  const second = totals();
+  const streamed = [];
+
+  await Promise.all([
+    context.callLLM('Summarize the budget vote.', { usageContext: first, onToken: delta => streamed.push(['first', delta]) }),
+    context.callLLM('Summarize the budget vote.', { usageContext: second, onToken: delta => streamed.push(['second', delta]) })
+  ]);
+  assert.equal(calls.length, 2);
+  assert.equal(first.totals.totalTokens, 1000);
+  assert.equal(second.totals.totalTokens, 1000);
+  assert.deepEqual(streamed.map(([caller]) => caller).sort(), ['first', 'second']);
+
+  await Promise.all([context.callLLM('Name the council.'), context.callLLM('Name the council.')]);
+  assert.equal(calls.length, 3);
+});
+
+test('request details are only logged with the developer toggle on', async () => {
+  const logged = [];
+  const record = (...args) => logged.push(args.map(String).join(' '));
+  const console = { log: record, warn: record, error: record };
+  const article = { text: BUDGET_ARTICLE, metadata: { url: ARTICLE_URL, domain: 'news.example', title: 'Budget vote' } };
+
+  const { context } = loadWithLlmStub({ chunkBudget: 4 }, { console });
+  await context.runAnalysis(article, () => {});
+  assert.deepEqual(logged.filter(line => /localhost|chat\/completions|status|sections|city council/i.test(line)), []);
+
+  context.chrome.stored.privacySettings = { excludeIncognito: false, debugLogging: true };
+  await context.runAnalysis(article, () => {});
+  assert.ok(logged.some(line => line.includes('http://localhost:11434/v1/chat/completions')));
+  assert.ok(logged.some(line => line.includes('response status 200')));
+});
+
+test('the reduce step and the framing diff are not sent once the token budget is spent', async () => {
+  const { context, calls } = loadWithLlmStub({ chunkBudget: 2, tokenBudget: { daily: 2000, monthly: null } });
+  const metadata = { url: ARTICLE_URL, domain: 'news.example', title: 'Budget vote' };
+  const analysis = await context.runAnalysis({ text: BUDGET_ARTICLE, metadata: metadata }, () => {});
+
+  // Both sections start under the budget and spend it; the reduce step after them is stopped
+  assert.equal(calls.length, 2);
+  assert.equal(analysis.budgetExceeded.used, 2000);
+
+  const other = 'https://other.example/budget';
+  const tabs = { 1: { id: 1, url: ARTICLE_URL, title: 'Budget vote' }, 2: { id: 2, url: other, title: 'Budget fight' } };
+  context.chrome.tabs.get = async tabId => tabs[tabId];
+  context.chrome.stored.tokenBudget = { daily: 1500, monthly: null };
+  await context.setCachedAnalysis(ARTICLE_URL, pageAnalysis(ARTICLE_URL, 'Budget vote'));
+  await context.setCachedAnalysis(other, pageAnalysis(other, 'Budget fight'));
+
+  const comparison = await context.compareArticles({ type: 'tab', tabId: 1 }, { type: 'tab', tabId: 2 });
+  assert.equal(calls.length, 2);
+  assert.equal(comparison.framingDiff, null);
+  assert.match(comparison.framingNotice, /budget/i);
+});
+
+test('a side panel that fails to open from the context menu is reported', async () => {
+  const errors = [];
+  const console = { log() {}, warn() {}, error: (...args) => errors.push(args.map(String).join(' ')) };
+  const { context } = loadWithLlmStub({}, { console });
+  context.chrome.sidePanel.open = async () => {
+    throw new Error('No user gesture');
+  };
+  context.chrome.tabs.sendMessage = async () => ({ text: 'The council passed the budget.', title: 'Budget vote', url: ARTICLE_URL });
+
+  const [onClicked] = context.chrome.contextMenus.onClicked.listeners;
+  onClicked({ menuItemId: 'echoai-analyze-selection', selectionText: 'The council passed the budget.' }, { id: 7, url: ARTICLE_URL });
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.ok(errors.some(line => line.includes('Could not open the side panel') && line.includes('No user gesture')));
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers/loadScripts.js';
+
+const context = loadScripts([
+  'utils/vaderLexicon.js',
+  'utils/vaderSentiment.js',
+  'utils/biasHeuristics.js'
+]);
+
+function classify(sentence) {
+  return plain(context.classifySentence(sentence));
+}
+
+test('the month May is not read as a hedge', () => {
+  assert.deepEqual(classify('The council approved the budget on May 3, 2026.'), { label: 'fact', cue: null });
+  assert.deepEqual(classify('May 2025 was the warmest month on record in the city.'), { label: 'fact', cue: null });
+});
+
+test('the modal may still marks speculation', () => {
+  assert.deepEqual(classify('The bill may reach the Senate floor next week.'), { label: 'speculation', cue: 'may' });
+  assert.deepEqual(classify('In May, the bill might reach the Senate floor.'), { label: 'speculation', cue: 'might' });
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain, readExtensionFile } from './helpers/loadScripts.js';
+
+const context = loadScripts([
+  'utils/vaderLexicon.js',
+  'utils/vaderSentiment.js',
+  'utils/claimSourcing.js',
+  'utils/storyClustering.js',
+  'utils/feedParser.js',
+  'utils/outletDatabase.js',
+  'utils/feedIndex.js'
+]);
+
+test('an article in two feeds takes both feeds\' leans, whichever was polled last', () => {
+  const article = { url: 'https://wire.example/border-bill', title: 'Senate passes border bill', terms: ['senate', 'border'] };
+  const items = [
+    { ...article, feedUrl: 'https://right.example/feed', feedName: 'Right Ledger' },
+    { ...article, feedUrl: 'https://left.example/feed', feedName: 'Left Review' },
+    { url: 'https://left.example/rates', title: 'Rates hold', terms: ['rates'], feedUrl: 'https://left.example/feed', feedName: 'Left Review' },
+    { url: 'https://old.example/story', title: 'Old story', terms: ['old'], feedUrl: 'https://removed.example/feed', feedName: 'Removed' }
+  ];
+  const feeds = [
+    { url: 'https://left.example/feed', lean: 0.8 },
+    { url: 'https://right.example/feed', lean: -0.6 }
+  ];
+
+  const merged = plain(context.mergeFeedItems(items, feeds));
+  assert.deepEqual(merged.map(item => [item.url, Number(item.lean.toFixed(2)), item.feedName]), [
+    ['https://wire.example/border-bill', 0.1, 'Right Ledger, Left Review'],
+    ['https://left.example/rates', 0.8, 'Left Review']
+  ]);
+  assert.equal(context.mergeFeedItems([items[1], items[0]], feeds)[0].lean.toFixed(2), '0.10');
+
+  const untagged = plain(context.mergeFeedItems(items, [{ url: 'https://left.example/feed', lean: null }]));
+  assert.equal(untagged[0].lean, null);
+});
+
+const BUNDLED_FEEDS = [
+  { url: 'data/feeds/sample-conservative.xml', lean: -0.8 },
+  { url: 'data/feeds/sample-liberal.xml', lean: 0.8 }
+];
+
+// Indexes the bundled feeds the way indexFeedItems does, without IndexedDB
+function indexBundledFeeds() {
+  return BUNDLED_FEEDS.flatMap(feed => {
+    const parsed = context.parseFeed(readExtensionFile(feed.url), 'https://feeds.example/');
+    return parsed.items.map(item => ({
+      ...item,
+      feedUrl: feed.url,
+      feedName: parsed.title,
+      terms: context.tokenizeStoryText(`${item.title} ${item.title} ${item.snippet}`)
+    }));
+  });
+}
+
+test('the feed list reads one feed per line with an optional lean', () => {
+  const list = [
+    'https://right.example/feed.xml lean right',
+    'https://left.example/atom.xml 0.6',
+    'data/feeds/sample-liberal.xml',
+    'not a feed',
+    'https://right.example/feed.xml 0.5',
+    'https://center.example/rss sideways'
+  ].join('\n');
+
+  assert.deepEqual(plain(context.parseFeedList(list)), {
+    feeds: [
+      { url: 'https://right.example/feed.xml', lean: -0.4 },
+      { url: 'https://left.example/atom.xml', lean: 0.6 },
+      { url: 'data/feeds/sample-liberal.xml', lean: null }
+    ],
+    invalid: ['not a feed', 'https://center.example/rss sideways']
+  });
+  assert.equal(context.formatFeedList(context.parseFeedList(list).feeds), [
+    'https://right.example/feed.xml -0.4',
+    'https://left.example/atom.xml 0.6',
+    'data/feeds/sample-liberal.xml'
+  ].join('\n'));
+});
+
+test('feed items are scored against an article by TF-IDF, best first', () => {
+  const items = context.mergeFeedItems(indexBundledFeeds(), BUNDLED_FEEDS);
+  const query = context.tokenizeStoryText('Border bill asylum limits would strand families. The Senate border security bill would raise the standard for asylum screenings and fund more border agents.');
+
+  const results = plain(context.scoreFeedItems(query, items));
+  assert.deepEqual(results.slice(0, 2).map(result => result.item.url), [
+    'https://left-review.example/immigration/border-bill-asylum-families',
+    'https://right-ledger.example/politics/border-security-bill-asylum-enforcement'
+  ]);
+  assert.ok(results.every((result, i) => i === 0 || result.score <= results[i - 1].score));
+  assert.ok(results.slice(2).every(result => result.score < 0.2), 'items on other topics score low');
+  assert.deepEqual(plain(context.scoreFeedItems(['zoning'], items)), []);
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers/loadScripts.js';
+
+const context = loadScripts(['utils/feedParser.js']);
+
+const MEDIA_RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Example News</title>
+    <item>
+      <media:title>Photo: senators leave the chamber</media:title>
+      <media:content url="https://cdn.example/photo.jpg" medium="image"><media:description>Senators leave</media:description></media:content>
+      <title>Senate passes the border bill</title>
+      <link>https://news.example/politics/border-bill</link>
+      <dc:date>2026-10-14T15:00:00Z</dc:date>
+      <content:encoded><![CDATA[<p>The Senate passed the bill 68 to 32.</p>]]></content:encoded>
+    </item>
+  </channel>
+</rss>`;
+
+test('item fields come from unprefixed elements, not media: or dc: lookalikes', () => {
+  const feed = plain(context.parseFeed(MEDIA_RSS));
+  assert.equal(feed.title, 'Example News');
+  assert.deepEqual(feed.items, [{
+    title: 'Senate passes the border bill',
+    url: 'https://news.example/politics/border-bill',
+    snippet: 'The Senate passed the bill 68 to 32.',
+    published: '2026-10-14T15:00:00.000Z'
+  }]);
+});
+
+test('an unprefixed element wins over a known prefixed fallback', () => {
+  const xml = MEDIA_RSS.replace('<dc:date>', '<pubDate>Tue, 13 Oct 2026 09:00:00 GMT</pubDate><dc:date>')
+    .replace('<content:encoded>', '<description>Senators voted on Tuesday.</description><content:encoded>');
+  const [item] = plain(context.parseFeed(xml).items);
+  assert.equal(item.published, '2026-10-13T09:00:00.000Z');
+  assert.equal(item.snippet, 'Senators voted on Tuesday.');
+});
+
+test('numeric references past U+10FFFF are left as written', () => {
+  assert.equal(context.decodeXmlEntities('Tom &amp; Jerry &#8217;s &#x1F600; &#99999999; &#x110000;'), 'Tom & Jerry ’s 😀 &#99999999; &#x110000;');
+});
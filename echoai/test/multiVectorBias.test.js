@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers/loadScripts.js';
+
+function loadWithFetch(fetch, timers = {}) {
+  return loadScripts(['utils/multiVectorBias.js'], { fetch, ...timers });
+}
+
+test('a GDELT lookup that never answers gives up instead of holding up the analysis', async () => {
+  const delays = [];
+  const context = loadWithFetch(
+    (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('The operation was aborted.')));
+    }),
+    { setTimeout: (callback, ms) => { delays.push(ms); return setTimeout(callback, 0); } }
+  );
+
+  assert.equal(await context.scoreGdeltVector('text', { title: 'Budget vote' }), null);
+  assert.deepEqual(delays, [10000]);
+});
+
+test('GDELT tone counts for little and needs two other signals to make a political score', async () => {
+  const context = loadWithFetch(async () => new Response(JSON.stringify({ articles: [{ tone: -80 }] })));
+  const gdelt = plain(await context.scoreGdeltVector('text', { title: 'Budget vote' }));
+  assert.equal(gdelt.score, -0.8);
+  assert.ok(gdelt.confidence <= 0.1);
+
+  const framing = { score: 0.2, confidence: 0.3, detail: 'framing' };
+  assert.equal(context.combineBiasVectors({ gdelt, framing }).success, false);
+
+  const content = { score: 0.6, confidence: 0.8, detail: 'keywords' };
+  const combined = context.combineBiasVectors({ gdelt, framing, content });
+  assert.equal(combined.success, true);
+  assert.ok(combined.score > 0.4, `angry tone barely moves a liberal score (${combined.score})`);
+});
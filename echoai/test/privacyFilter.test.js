@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain, readGlobal } from './helpers/loadScripts.js';
+
+const context = loadScripts(['utils/privacyFilter.js']);
+const redact = context.createRedactor(readGlobal(context, 'DEFAULT_PRIVACY_SETTINGS'));
+
+test('phone numbers in common formats are redacted', () => {
+  [
+    'Call 555-123-4567 for details.',
+    'Call (555) 123-4567 for details.',
+    'Call +1 555.123.4567 for details.',
+    'Call +44 20 7946 0958 for details.',
+    'Call 020 7946 0958 for details.'
+  ].forEach(text => {
+    assert.deepEqual(plain(redact(text)), { text: 'Call [phone] for details.', counts: { phone: 1 } }, text);
+  });
+});
+
+test('large figures, dates and year ranges are not phone numbers', () => {
+  [
+    'The fund grew to 10.000.000 euros.',
+    'The fund grew to 10,000,000 dollars.',
+    'Seasons 2019-2020-2021 were cancelled.',
+    'Prices rose 1990–2000 and again 2010 - 2015.',
+    'The law passed on 2026-10-14 after 123.45 hours of debate.',
+    'Mixed separators like 555-123.4567 and 555.123 4567 are not enough.'
+  ].forEach(text => {
+    assert.deepEqual(plain(redact(text)), { text: text, counts: {} }, text);
+  });
+});
+
+test('card and social security numbers are redacted without the text around them', () => {
+  [
+    ['Card 4111 1111 1111 1111 on file.', 'Card [number] on file.'],
+    ['Card 4111-1111-1111-1111 on file.', 'Card [number] on file.'],
+    ['Card 3782 822463 10005 on file.', 'Card [number] on file.'],
+    ['Card 4111111111111111 on file.', 'Card [number] on file.'],
+    ['SSN 123-45-6789 on file.', 'SSN [number] on file.']
+  ].forEach(([text, expected]) => {
+    assert.deepEqual(plain(redact(text)), { text: expected, counts: { idNumber: 1 } }, text);
+  });
+});
+
+test('years, ISBNs and grouped figures are not card numbers', () => {
+  [
+    'The tournament was held in 2019 2020 2021 2022.',
+    'See ISBN 978-3-16-148410-0 here.',
+    'The census counted 1 234 567 890 123 people.',
+    'Order 4111 1111 1111 1112 was refunded.',
+    'Reference 1234567890123 was closed.'
+  ].forEach(text => {
+    assert.deepEqual(plain(redact(text)), { text: text, counts: {} }, text);
+  });
+});
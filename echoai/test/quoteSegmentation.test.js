@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers/loadScripts.js';
+
+const context = loadScripts([
+  'utils/vaderLexicon.js',
+  'utils/vaderSentiment.js',
+  'utils/claimSourcing.js',
+  'utils/multiVectorBias.js',
+  'utils/quoteSegmentation.js'
+]);
+
+const MULTI_PARAGRAPH_QUOTE = [
+  '"We will rebuild every home that was lost, and we will do it faster than anyone expects.',
+  '"Nobody should doubt our resolve on this," Mayor Jane Smith said.',
+  'Critics were unimpressed. "This is a waste of taxpayer money and everyone knows it," said Tom Brown, a council member.'
+].join('\n\n');
+
+test('a quote running over paragraphs closes at each paragraph break', () => {
+  const result = plain(context.segmentQuotedSpeech(MULTI_PARAGRAPH_QUOTE));
+
+  assert.deepEqual(result.quotes.map(quote => quote.text), [
+    'We will rebuild every home that was lost, and we will do it faster than anyone expects.',
+    'Nobody should doubt our resolve on this,',
+    'This is a waste of taxpayer money and everyone knows it,'
+  ]);
+  assert.equal(result.quotes[1].speaker, 'Mayor Jane Smith');
+  assert.equal(result.quotes[2].speaker, 'Tom Brown');
+});
+
+test('the opening paragraph of a continued quote takes the speaker named in the next one', () => {
+  const result = plain(context.segmentQuotedSpeech(MULTI_PARAGRAPH_QUOTE));
+  assert.equal(result.quotes[0].speaker, 'Mayor Jane Smith');
+});
+
+test('quoted speech is kept out of the narration', () => {
+  const { narration } = context.segmentQuotedSpeech(MULTI_PARAGRAPH_QUOTE);
+  assert.match(narration, /Critics were unimpressed/);
+  assert.match(narration, /Mayor Jane Smith said/);
+  assert.doesNotMatch(narration, /Nobody should doubt/);
+  assert.doesNotMatch(narration, /waste of taxpayer money/);
+  assert.doesNotMatch(narration, /rebuild every home/);
+});
+
+test('short scare quotes stay in the narration', () => {
+  const result = context.segmentQuotedSpeech('The plan was called "bold" by supporters.');
+  assert.equal(result.quotes.length, 0);
+  assert.match(result.narration, /"bold"/);
+});
+
+test('a title or party set off by commas between the name and the verb keeps the speaker', () => {
+  const text = [
+    '“We cannot keep kicking this down the road,” Rep. Alexandria Ocasio-Cortez, D-N.Y., told reporters.',
+    'Jim Hale, a council member, said “the vote was rushed and the public was shut out.”'
+  ].join('\n\n');
+  const result = plain(context.segmentQuotedSpeech(text));
+
+  assert.deepEqual(result.quotes.map(quote => quote.speaker), ['Rep. Alexandria Ocasio-Cortez', 'Jim Hale']);
+  assert.equal(context.findSpeakerAffiliation(text, 'ocasio-cortez'), 1);
+});
+
+test('short quotes with an attribution next to them are kept as quotes', () => {
+  const text = '“This is outrageous,” Sen. Mark Lee said. Supporters called the plan “bold.” Later she added: “Not again.”';
+  const result = plain(context.segmentQuotedSpeech(text));
+
+  assert.deepEqual(result.quotes.map(quote => [quote.text, quote.speaker]), [
+    ['This is outrageous,', 'Sen. Mark Lee'],
+    ['Not again.', 'Sen. Mark Lee']
+  ]);
+  assert.match(result.narration, /“bold\.”/);
+});
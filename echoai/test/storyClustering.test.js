@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, plain } from './helpers/loadScripts.js';
+
+const context = loadScripts([
+  'utils/vaderLexicon.js',
+  'utils/vaderSentiment.js',
+  'utils/claimSourcing.js',
+  'utils/storyClustering.js'
+]);
+
+function analysis(url, title, text, lean, day) {
+  return {
+    metadata: { url: url, title: title, domain: new URL(url).hostname, datePublished: `2026-10-${day}T12:00:00Z` },
+    bias: { score: lean },
+    storyTerms: context.extractStoryTerms(text),
+    timestamp: Date.parse(`2026-10-${day}T13:00:00Z`)
+  };
+}
+
+// Every article names the same national figures, the way a week of political coverage does
+const COMMON = 'President Donald Trump spoke at the White House on Monday. Senate Majority Leader Chuck Schumer responded in a statement.';
+
+const BORDER_LEFT = analysis(
+  'https://left.example/border-bill',
+  'Senate border security bill would tighten asylum rules',
+  `${COMMON} The Senate border security bill would raise the standard for asylum screenings and fund more border agents. Immigrant advocates said the asylum changes would strand families at the border. Senator James Lankford negotiated the border bill.`,
+  0.7, 14
+);
+const BORDER_RIGHT = analysis(
+  'https://right.example/border-deal',
+  'Border security bill does too little on asylum, Republicans say',
+  `${COMMON} Republicans said the border security bill leaves asylum loopholes open. Senator James Lankford defended the border bill, saying the asylum screening changes would cut crossings at the border.`,
+  -0.7, 15
+);
+const TARIFFS = analysis(
+  'https://center.example/tariff-order',
+  'Trump signs order raising tariffs on imported steel',
+  `${COMMON} The executive order raises tariffs on imported steel and aluminum to 50 percent. Steel producers welcomed the tariffs, while automakers warned that the tariffs would raise car prices. Trading partners threatened retaliatory tariffs.`,
+  0, 15
+);
+const ABORTION_PILL = analysis(
+  'https://left.example/mifepristone',
+  'Supreme Court hears challenge to abortion pill access',
+  `${COMMON} The Supreme Court heard arguments over mifepristone, the abortion pill used in most abortions. Justices questioned whether the doctors challenging the abortion pill had standing. A ruling on mifepristone access is expected by June.`,
+  0.6, 16
+);
+
+test('unrelated political articles naming the same people stay separate stories', () => {
+  const stories = plain(context.clusterStories([BORDER_LEFT, TARIFFS, ABORTION_PILL], 1));
+  assert.equal(stories.length, 3);
+  stories.forEach(story => assert.equal(story.articles.length, 1));
+});
+
+test('articles on the same event are grouped into one story', () => {
+  const stories = plain(context.clusterStories([BORDER_LEFT, TARIFFS, BORDER_RIGHT, ABORTION_PILL]));
+  assert.equal(stories.length, 1);
+  assert.deepEqual(stories[0].articles.map(article => article.url).sort(), [BORDER_LEFT.metadata.url, BORDER_RIGHT.metadata.url].sort());
+});
+
+test('a story lists the sides of the spectrum with no coverage read', () => {
+  const [story] = plain(context.clusterStories([BORDER_LEFT, BORDER_RIGHT]));
+  assert.deepEqual(story.sides, { liberal: 1, center: 0, conservative: 1 });
+  assert.deepEqual(story.unreadSides, ['center']);
+  // Liberal coverage first, matching the spectrum bar
+  assert.equal(story.articles[0].url, BORDER_LEFT.metadata.url);
+});
+
+test('shared names alone do not make two articles the same story', () => {
+  const features = (...words) => ({
+    titleWords: new Set(words),
+    keywords: new Set(words),
+    entities: new Set(['trump', 'white house', 'chuck schumer']),
+    published: 0
+  });
+  assert.equal(context.scoreStorySimilarity(features('tariffs', 'steel'), features('mifepristone', 'court')), 0);
+});
+
+test('articles published more than a week apart are different stories', () => {
+  const later = { ...BORDER_RIGHT, metadata: { ...BORDER_RIGHT.metadata, datePublished: '2026-10-30T12:00:00Z' } };
+  assert.equal(context.clusterStories([BORDER_LEFT, later]).length, 0);
+});